@@ -7,9 +7,33 @@ class PersonalRulesApp {
     constructor() {
         this.db = null;
         this.currentView = 'dashboard';
+        this.currentRoute = null;
+        this.routing = false;
+        this.midnightTimer = null;
+        this.refreshingStatuses = false;
         this.rules = [];
         this.systems = [];
+        this.checkins = [];
+        this.events = [];
+        this.trash = [];
+        this.templates = [];
+        this.history = { undo: [], redo: [] }; // recorded commands, newest last
+        this.historyLimit = 20;
         this.editingRule = null;
+        this.selection = null; // { view, ids } while picking rules for a batch action
+        this.searchState = {
+            query: '',
+            filters: {
+                statuses: [],
+                systems: [],
+                clauseTypes: [],
+                sunsetTypes: [],
+                archived: '',
+                dateField: 'createdAt',
+                dateFrom: '',
+                dateTo: ''
+            }
+        };
     }
 
     /**
@@ -30,8 +54,17 @@ class PersonalRulesApp {
             // Run daily status check
             await this.dailyStatusCheck();
 
-            // Render initial view
-            this.renderView(this.currentView);
+            // Drop deleted rules that outlived the trash retention period
+            await this.purgeExpiredTrash();
+
+            // Render the view in the URL, so refreshes and shared links land in place
+            this.applyRoute();
+
+            // Announce activations, upcoming expirations and stale proposals
+            await this.checkNotifications();
+
+            // Keep statuses current while the app stays open
+            this.scheduleMidnightCheck();
 
             console.log('Personal Rules app initialized successfully');
         } catch (error) {
@@ -46,6 +79,10 @@ class PersonalRulesApp {
     async loadRules() {
         this.rules = await this.db.getAllRules();
         this.systems = await this.db.getAllSystems();
+        this.checkins = await this.db.getAllCheckins();
+        this.events = await this.db.getAllEvents();
+        this.trash = await this.db.getAllTrash();
+        this.templates = await this.db.getAllTemplates();
     }
 
     /**
@@ -60,14 +97,158 @@ class PersonalRulesApp {
             });
         });
 
+        // Browser back/forward and edited links
+        window.addEventListener('popstate', () => this.applyRoute());
+
+        // Undo/redo toolbar and shortcuts (Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z or Ctrl+Y)
+        document.getElementById('undoButton').addEventListener('click', () => this.undo());
+        document.getElementById('redoButton').addEventListener('click', () => this.redo());
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            // Leave text fields their own undo, and don't act behind an open dialog
+            const focused = document.activeElement;
+            if ((focused && focused.closest('input, textarea, select, [contenteditable]')) || document.querySelector('.modal')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // While selecting, a click on a card toggles it instead of reaching the card's own handlers
+        document.getElementById('app-container').addEventListener('click', (e) => {
+            if (!this.isSelecting(this.currentView)) return;
+            const card = e.target.closest('.rule-card[data-id]');
+            if (!card) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.toggleSelection(card.dataset.id);
+        }, true);
+
+        // Statuses may be stale after the app was hidden, suspended or left open overnight
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.refreshStatuses();
+            }
+        });
+        window.addEventListener('focus', () => this.refreshStatuses());
+        document.addEventListener('resume', () => this.refreshStatuses());
+        window.addEventListener('pageshow', (e) => {
+            if (e.persisted) {
+                this.refreshStatuses();
+            }
+        });
+
+        // Tapped notifications ask an open window to show their rule
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'navigate' && e.data.route) {
+                    window.location.hash = e.data.route;
+                }
+            });
+        }
+
         // Form submissions will be handled by specific view methods
     }
 
+    // ============================================
+    // ROUTING
+    // ============================================
+
+    /**
+     * Render whatever the location hash points at
+     * Routes: #/<view>, #/rule/<ruleId>, #/systems/<systemId>
+     */
+    applyRoute() {
+        const route = window.location.hash || '#/dashboard';
+        if (route === this.currentRoute) return;
+        this.currentRoute = route;
+
+        // Dialogs belong to the page being left
+        document.querySelectorAll('.modal').forEach(modal => modal.remove());
+
+        const [, view, param] = route.match(/^#\/([^/]*)\/?(.*)$/) || [];
+        const views = ['dashboard', 'today', 'active', 'passed', 'proposed', 'search', 'systems', 'create', 'archives', 'trash', 'devtools'];
+
+        this.routing = true;
+        try {
+            if (view === 'rule' && param) {
+                const ruleId = decodeURIComponent(param);
+                if (this.rules.some(r => r.id === ruleId)) {
+                    this.showRuleDetail(ruleId);
+                    return;
+                }
+                this.showError(`Rule ${ruleId} not found.`);
+            } else if (views.includes(view)) {
+                this.showView(view);
+                if (view === 'systems' && param) {
+                    const system = this.systems.find(s => String(s.systemId) === param);
+                    if (system) {
+                        this.showSystemDialog(system.name);
+                    }
+                }
+                return;
+            }
+
+            this.showView('dashboard');
+        } finally {
+            this.routing = false;
+        }
+
+        // Replace the unknown route so Back doesn't return to it
+        this.setRoute('#/dashboard', true);
+    }
+
+    /**
+     * Record a route in the URL and browser history
+     * @param {string} route - Hash route, e.g. '#/rule/PR2026-07'
+     * @param {boolean} replace - Replace the current history entry instead of adding one
+     */
+    setRoute(route, replace = false) {
+        if (this.routing || route === this.currentRoute) return;
+
+        if (replace) {
+            history.replaceState(history.state, '', route);
+        } else {
+            // Remember that this entry was reached from inside the app
+            history.pushState({ from: this.currentRoute }, '', route);
+        }
+        this.currentRoute = route;
+    }
+
+    /**
+     * Return to the page the user came from, or to a fallback view
+     * when the current page was opened directly from a link or bookmark
+     */
+    goBack(fallbackView) {
+        if (history.state && history.state.from) {
+            history.back();
+        } else {
+            this.setRoute(`#/${fallbackView}`, true);
+            this.showView(fallbackView);
+        }
+    }
+
+    /**
+     * List view a rule is normally found in
+     */
+    getListViewForRule(rule) {
+        if (rule.isArchived) return 'archives';
+        if (['active', 'passed', 'proposed'].includes(rule.status)) return rule.status;
+        return 'archives';
+    }
+
     /**
      * Show a specific view
      */
     showView(viewName) {
         this.currentView = viewName;
+        this.selection = null;
+        this.setRoute(`#/${viewName}`);
         
         // Update active tab
         document.querySelectorAll('.nav-tab').forEach(tab => {
@@ -86,12 +267,17 @@ class PersonalRulesApp {
      */
     renderView(viewName) {
         const container = document.getElementById('app-container');
+        this.setRoute(`#/${viewName}`, true);
         
         switch(viewName) {
             case 'dashboard':
                 container.innerHTML = this.renderDashboard();
                 this.attachDashboardListeners();
                 break;
+            case 'today':
+                container.innerHTML = this.renderToday();
+                this.attachRuleListListeners();
+                break;
             case 'active':
                 container.innerHTML = this.renderActiveRules();
                 this.attachRuleListListeners();
@@ -104,6 +290,10 @@ class PersonalRulesApp {
                 container.innerHTML = this.renderProposedRules();
                 this.attachProposedListeners();
                 break;
+            case 'search':
+                container.innerHTML = this.renderSearch();
+                this.attachSearchListeners();
+                break;
             case 'systems':
                 container.innerHTML = this.renderSystems();
                 this.attachSystemsListeners();
@@ -116,6 +306,12 @@ class PersonalRulesApp {
                 container.innerHTML = this.renderArchives();
                 this.attachArchiveListeners();
                 break;
+            case 'trash':
+                this.getTrashRetentionDays().then(retentionDays => {
+                    container.innerHTML = this.renderTrash(retentionDays);
+                    this.attachTrashListeners();
+                });
+                break;
             case 'devtools':
                 this.renderDevTools().then(html => {
                     container.innerHTML = html;
@@ -125,6 +321,8 @@ class PersonalRulesApp {
             default:
                 container.innerHTML = '<div class="empty-state"><p>View not found</p></div>';
         }
+
+        this.renderSelectionToolbar(viewName);
     }
 
     /**
@@ -138,6 +336,12 @@ class PersonalRulesApp {
             return daysUntilExpiry <= 7 && daysUntilExpiry >= 0;
         });
 
+        const awaitingEvaluation = this.rules.filter(r => this.needsEvaluation(r));
+
+        const todayKey = this.toDateKey(new Date());
+        const dueToday = this.getRulesDueOn(new Date());
+        const stillDue = dueToday.filter(r => !this.getCheckin(r.id, todayKey));
+
         // Get unique systems
         const systems = [...new Set(activeRules.map(r => r.system))];
 
@@ -168,10 +372,52 @@ class PersonalRulesApp {
                     : ''}
             </div>
 
+            ${dueToday.length > 0 ? `
+                <div class="section">
+                    <div class="section-title">Due Today</div>
+                    <div class="rule-meta" style="margin-bottom: 12px;">${dueToday.length - stillDue.length} of ${dueToday.length} checked in</div>
+                    ${stillDue.map(rule => `
+                        <div class="rule-card" data-action="view-detail" data-id="${this.escapeHtml(rule.id)}">
+                            <div class="rule-header">
+                                <div class="rule-id">${this.escapeHtml(rule.id)}</div>
+                                <div class="rule-meta">${rule.schedule && rule.schedule.time ? this.escapeHtml(rule.schedule.time) : 'Any time'}</div>
+                            </div>
+                            <div class="rule-title">${this.escapeHtml(rule.title)}</div>
+                        </div>
+                    `).join('')}
+                    <button class="btn btn-secondary" data-action="today">Open Today</button>
+                </div>
+            ` : ''}
+
+            ${awaitingEvaluation.length > 0 ? `
+                <div class="section">
+                    <div class="section-title">Hypotheses Awaiting Evaluation</div>
+                    ${awaitingEvaluation.map(rule => `
+                        <div class="rule-card" data-action="view-detail" data-id="${this.escapeHtml(rule.id)}">
+                            <div class="rule-header">
+                                <div class="rule-id">${this.escapeHtml(rule.id)}</div>
+                                <div class="rule-status status-${rule.status}">${this.formatStatus(rule.status)}</div>
+                            </div>
+                            <div class="rule-title">${this.escapeHtml(rule.title)}</div>
+                            <div class="rule-meta">Did the hypothesis hold? File an evaluation before archiving.</div>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+
             <div class="section">
                 <div class="section-title">Data Management</div>
                 <button class="btn btn-secondary" data-action="export">📥 Export Backup</button>
                 <button class="btn btn-secondary" data-action="import">📤 Import Backup</button>
+                <button class="btn btn-secondary" data-action="export-constitution">📜 Export Constitution (Markdown)</button>
+                <button class="btn btn-secondary" data-action="export-csv">📊 Export Rules (CSV)</button>
+                <button class="btn btn-secondary" data-action="import-csv">📊 Import Rules (CSV)</button>
+                <button class="btn btn-secondary" data-action="export-ics">📅 Export Calendar (.ics)</button>
+            </div>
+
+            <div class="section">
+                <div class="section-title">Settings</div>
+                <button class="btn btn-secondary" data-action="notification-settings">🔔 Notifications</button>
             </div>
 
             ${systems.length > 0 ? `
@@ -180,8 +426,8 @@ class PersonalRulesApp {
                     ${systems.map(system => {
                         const systemRules = activeRules.filter(r => r.system === system);
                         return `
-                            <div class="rule-card" data-action="view-system" data-system="${system}">
-                                <div class="rule-title">${system}</div>
+                            <div class="rule-card" data-action="view-system" data-system="${this.escapeHtml(system)}">
+                                <div class="rule-title">${this.escapeHtml(system)}</div>
                                 <div class="rule-meta">${systemRules.length} active ${systemRules.length === 1 ? 'rule' : 'rules'}</div>
                             </div>
                         `;
@@ -207,6 +453,19 @@ class PersonalRulesApp {
             proposedBtn.addEventListener('click', () => this.showView('proposed'));
         }
 
+        // Due today summary
+        const todayBtn = document.querySelector('[data-action="today"]');
+        if (todayBtn) {
+            todayBtn.addEventListener('click', () => this.showView('today'));
+        }
+
+        // Rule cards (hypotheses awaiting evaluation)
+        document.querySelectorAll('[data-action="view-detail"]').forEach(card => {
+            card.addEventListener('click', (e) => {
+                this.showRuleDetail(e.currentTarget.dataset.id);
+            });
+        });
+
         // System cards
         document.querySelectorAll('[data-action="view-system"]').forEach(card => {
             card.addEventListener('click', (e) => {
@@ -218,7 +477,7 @@ class PersonalRulesApp {
         // Export button
         const exportBtn = document.querySelector('[data-action="export"]');
         if (exportBtn) {
-            exportBtn.addEventListener('click', () => this.exportData());
+            exportBtn.addEventListener('click', () => this.showExportDialog());
         }
 
         // Import button
@@ -226,6 +485,35 @@ class PersonalRulesApp {
         if (importBtn) {
             importBtn.addEventListener('click', () => this.importData());
         }
+
+        // Markdown constitution export
+        const constitutionBtn = document.querySelector('[data-action="export-constitution"]');
+        if (constitutionBtn) {
+            constitutionBtn.addEventListener('click', () => this.showConstitutionDialog());
+        }
+
+        // CSV export/import
+        const exportCsvBtn = document.querySelector('[data-action="export-csv"]');
+        if (exportCsvBtn) {
+            exportCsvBtn.addEventListener('click', () => this.exportCsv());
+        }
+
+        const importCsvBtn = document.querySelector('[data-action="import-csv"]');
+        if (importCsvBtn) {
+            importCsvBtn.addEventListener('click', () => this.importCsv());
+        }
+
+        // Calendar export
+        const exportIcsBtn = document.querySelector('[data-action="export-ics"]');
+        if (exportIcsBtn) {
+            exportIcsBtn.addEventListener('click', () => this.showCalendarExportDialog());
+        }
+
+        // Notification settings
+        const notificationsBtn = document.querySelector('[data-action="notification-settings"]');
+        if (notificationsBtn) {
+            notificationsBtn.addEventListener('click', () => this.showNotificationSettingsDialog());
+        }
     }
 
     /**
@@ -250,7 +538,7 @@ class PersonalRulesApp {
             const systemRules = activeRules.filter(r => r.system === system);
             return `
                 <div class="system-group">
-                    <div class="system-header">${system}</div>
+                    <div class="system-header">${this.escapeHtml(system)}</div>
                     ${systemRules.map(rule => this.renderRuleCard(rule)).join('')}
                 </div>
             `;
@@ -276,13 +564,13 @@ class PersonalRulesApp {
             <div class="section">
                 <div class="section-title">Awaiting Activation</div>
                 ${passedRules.map(rule => `
-                    <div class="rule-card" data-action="view-detail" data-id="${rule.id}">
+                    <div class="rule-card" data-action="view-detail" data-id="${this.escapeHtml(rule.id)}">
                         <div class="rule-header">
-                            <div class="rule-id">${rule.id}</div>
+                            <div class="rule-id">${this.escapeHtml(rule.id)}</div>
                             <div class="rule-status status-${rule.status}">${this.formatStatus(rule.status)}</div>
                         </div>
-                        <div class="rule-title">${rule.title}</div>
-                        <div class="rule-meta"><strong>System:</strong> ${rule.system}</div>
+                        <div class="rule-title">${this.escapeHtml(rule.title)}</div>
+                        <div class="rule-meta"><strong>System:</strong> ${this.escapeHtml(rule.system)}</div>
                         <div class="rule-meta"><strong>Effective Date:</strong> ${this.formatDate(new Date(rule.effectiveDate))}</div>
                         <div class="rule-meta"><strong>Will Expire:</strong> ${rule.expirationDate ? this.formatDate(new Date(rule.expirationDate)) : 'Indefinite'}</div>
                     </div>
@@ -310,19 +598,19 @@ class PersonalRulesApp {
             <div class="section">
                 <div class="section-title">Awaiting Decision</div>
                 ${proposedRules.map(rule => `
-                    <div class="rule-card">
+                    <div class="rule-card" data-id="${this.escapeHtml(rule.id)}">
                         <div class="rule-header">
-                            <div class="rule-id">${rule.id}</div>
+                            <div class="rule-id">${this.escapeHtml(rule.id)}</div>
                             <div class="rule-status status-${rule.status}">${this.formatStatus(rule.status)}</div>
                         </div>
-                        <div class="rule-title">${rule.title}</div>
-                        <div class="rule-meta"><strong>System:</strong> ${rule.system}</div>
+                        <div class="rule-title">${this.escapeHtml(rule.title)}</div>
+                        <div class="rule-meta"><strong>System:</strong> ${this.escapeHtml(rule.system)}</div>
                         <div class="rule-meta"><strong>Type:</strong> ${rule.clauseType === 'purpose' ? 'Purpose' : 'Hypothesis'}</div>
                         <div class="action-buttons">
-                            <button class="btn btn-success btn-small" data-action="pass" data-id="${rule.id}">Pass</button>
-                            <button class="btn btn-primary btn-small" data-action="edit-proposed" data-id="${rule.id}">Edit</button>
-                            <button class="btn btn-secondary btn-small" data-action="view-detail" data-id="${rule.id}">View</button>
-                            <button class="btn btn-danger btn-small" data-action="reject" data-id="${rule.id}">Reject</button>
+                            <button class="btn btn-success btn-small" data-action="pass" data-id="${this.escapeHtml(rule.id)}">Pass</button>
+                            <button class="btn btn-primary btn-small" data-action="edit-proposed" data-id="${this.escapeHtml(rule.id)}">Edit</button>
+                            <button class="btn btn-secondary btn-small" data-action="view-detail" data-id="${this.escapeHtml(rule.id)}">View</button>
+                            <button class="btn btn-danger btn-small" data-action="reject" data-id="${this.escapeHtml(rule.id)}">Reject</button>
                         </div>
                     </div>
                 `).join('')}
@@ -330,6 +618,207 @@ class PersonalRulesApp {
         `;
     }
 
+    /**
+     * Render search view
+     * Results are filled in by runSearch() so typing doesn't rebuild the form
+     */
+    renderSearch() {
+        const { query, filters } = this.searchState;
+        const systemNames = [...new Set([...this.systems.map(s => s.name), ...this.rules.map(r => r.system)])].sort();
+
+        const chip = (filter, value, label) => `
+            <button type="button" class="chip ${filters[filter].includes(value) ? 'active' : ''}" data-filter="${filter}" data-value="${this.escapeHtml(value)}">${this.escapeHtml(label)}</button>
+        `;
+        const archivedChip = (value, label) => `
+            <button type="button" class="chip ${filters.archived === value ? 'active' : ''}" data-filter="archived" data-value="${value}">${label}</button>
+        `;
+
+        return `
+            <div class="section">
+                <input type="search" class="form-input search-input" id="searchQuery" value="${this.escapeHtml(query)}" placeholder="Search title, system, clause, body, metrics...">
+
+                <div class="chip-group">
+                    ${['proposed', 'passed', 'active', 'expired', 'rejected', 'superseded'].map(status => chip('statuses', status, this.formatStatus(status))).join('')}
+                </div>
+                <div class="chip-group">
+                    ${chip('clauseTypes', 'purpose', 'Purpose')}
+                    ${chip('clauseTypes', 'hypothesis', 'Hypothesis')}
+                    ${chip('sunsetTypes', 'default', '30-day sunset')}
+                    ${chip('sunsetTypes', 'custom', 'Custom sunset')}
+                    ${chip('sunsetTypes', 'indefinite', 'Indefinite')}
+                    ${archivedChip('exclude', 'Not archived')}
+                    ${archivedChip('only', 'Archived')}
+                </div>
+                ${systemNames.length > 0 ? `
+                    <div class="chip-group">
+                        ${systemNames.map(name => chip('systems', name, name)).join('')}
+                    </div>
+                ` : ''}
+
+                <div class="date-range">
+                    <select class="form-select" id="searchDateField">
+                        <option value="createdAt" ${filters.dateField === 'createdAt' ? 'selected' : ''}>Created</option>
+                        <option value="effectiveDate" ${filters.dateField === 'effectiveDate' ? 'selected' : ''}>Effective</option>
+                        <option value="expirationDate" ${filters.dateField === 'expirationDate' ? 'selected' : ''}>Expires</option>
+                    </select>
+                    <input type="date" class="form-input" id="searchDateFrom" value="${filters.dateFrom}" aria-label="From">
+                    <input type="date" class="form-input" id="searchDateTo" value="${filters.dateTo}" aria-label="To">
+                </div>
+            </div>
+
+            <div id="searchResults"></div>
+        `;
+    }
+
+    /**
+     * Attach search view listeners
+     */
+    attachSearchListeners() {
+        const queryInput = document.getElementById('searchQuery');
+        let debounce = null;
+        queryInput.addEventListener('input', () => {
+            this.searchState.query = queryInput.value;
+            clearTimeout(debounce);
+            debounce = setTimeout(() => this.runSearch(), 150);
+        });
+
+        // Filter chips
+        document.querySelectorAll('.chip[data-filter]').forEach(chip => {
+            chip.addEventListener('click', (e) => {
+                const { filter, value } = e.currentTarget.dataset;
+                const filters = this.searchState.filters;
+                if (filter === 'archived') {
+                    filters.archived = filters.archived === value ? '' : value;
+                    document.querySelectorAll('.chip[data-filter="archived"]').forEach(c => {
+                        c.classList.toggle('active', c.dataset.value === filters.archived);
+                    });
+                } else {
+                    const list = filters[filter];
+                    const index = list.indexOf(value);
+                    if (index === -1) {
+                        list.push(value);
+                    } else {
+                        list.splice(index, 1);
+                    }
+                    e.currentTarget.classList.toggle('active', index === -1);
+                }
+                this.runSearch();
+            });
+        });
+
+        // Date range
+        [['searchDateField', 'dateField'], ['searchDateFrom', 'dateFrom'], ['searchDateTo', 'dateTo']].forEach(([id, key]) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                this.searchState.filters[key] = e.target.value;
+                this.runSearch();
+            });
+        });
+
+        this.runSearch();
+    }
+
+    /**
+     * Run the current search and render its results
+     */
+    async runSearch() {
+        const resultsContainer = document.getElementById('searchResults');
+        if (!resultsContainer) return;
+
+        const { query, filters } = this.searchState;
+        const hasFilters = Object.entries(filters).some(([key, value]) =>
+            key !== 'dateField' && (Array.isArray(value) ? value.length > 0 : !!value)
+        );
+
+        if (!query.trim() && !hasFilters) {
+            resultsContainer.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🔍</div>
+                    <p class="empty-state-text">Type to search, or pick filters to browse rules.</p>
+                </div>
+            `;
+            return;
+        }
+
+        try {
+            const results = await this.db.searchRules(query, filters);
+            results.sort((a, b) => b.id.localeCompare(a.id));
+
+            resultsContainer.innerHTML = results.length === 0 ? `
+                <div class="empty-state">
+                    <p class="empty-state-text">No rules match.</p>
+                </div>
+            ` : `
+                <div class="section">
+                    <div class="section-title">${results.length} ${results.length === 1 ? 'Result' : 'Results'}</div>
+                    ${results.map(rule => this.renderSearchResult(rule, query.trim())).join('')}
+                </div>
+            `;
+
+            resultsContainer.querySelectorAll('[data-action="view-detail"]').forEach(card => {
+                card.addEventListener('click', (e) => {
+                    this.showRuleDetail(e.currentTarget.dataset.id);
+                });
+            });
+        } catch (error) {
+            console.error('Search failed:', error);
+            this.showError('Search failed. Please try again.');
+        }
+    }
+
+    /**
+     * Render a search result card with the matched text highlighted
+     */
+    renderSearchResult(rule, query) {
+        // Show where the match is when it isn't in the title or system
+        let snippet = '';
+        if (query) {
+            const queryLower = query.toLowerCase();
+            const inHeader = [rule.title, rule.system].some(field => field && field.toLowerCase().includes(queryLower));
+            const field = [rule.clauseText, rule.successMetrics, rule.body]
+                .find(text => text && text.toLowerCase().includes(queryLower));
+            if (!inHeader && field) {
+                const index = field.toLowerCase().indexOf(queryLower);
+                const start = Math.max(0, index - 40);
+                const end = Math.min(field.length, index + query.length + 60);
+                snippet = `${start > 0 ? '…' : ''}${field.substring(start, end)}${end < field.length ? '…' : ''}`;
+            }
+        }
+
+        return `
+            <div class="rule-card" data-action="view-detail" data-id="${this.escapeHtml(rule.id)}">
+                <div class="rule-header">
+                    <div class="rule-id">${this.escapeHtml(rule.id)}</div>
+                    <div class="rule-status status-${rule.status}">${this.formatStatus(rule.status)}${rule.isArchived ? ' · Archived' : ''}</div>
+                </div>
+                <div class="rule-title">${this.highlight(rule.title, query)}</div>
+                <div class="rule-meta"><strong>System:</strong> ${this.highlight(rule.system, query)}</div>
+                ${snippet ? `<div class="search-snippet">${this.highlight(snippet, query)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Escape text and wrap case-insensitive matches of the query in <mark>
+     */
+    highlight(text, query) {
+        const value = text || '';
+        if (!query) {
+            return this.escapeHtml(value);
+        }
+
+        const valueLower = value.toLowerCase();
+        const queryLower = query.toLowerCase();
+        let html = '';
+        let position = 0;
+        let index;
+        while ((index = valueLower.indexOf(queryLower, position)) !== -1) {
+            html += this.escapeHtml(value.substring(position, index));
+            html += `<mark>${this.escapeHtml(value.substring(index, index + query.length))}</mark>`;
+            position = index + query.length;
+        }
+        return html + this.escapeHtml(value.substring(position));
+    }
+
     /**
      * Render systems management view
      */
@@ -345,14 +834,14 @@ class PersonalRulesApp {
                     ${this.systems.map(system => {
                         const systemRules = this.rules.filter(r => r.system === system.name && !r.isArchived);
                         return `
-                            <div class="rule-card" data-action="edit-system" data-system="${system.name}">
+                            <div class="rule-card" data-action="edit-system" data-system="${this.escapeHtml(system.name)}">
                                 <div class="rule-header">
                                     <div class="rule-id">System ${system.systemId || '?'}</div>
                                 </div>
-                                <div class="rule-title">${system.name}</div>
+                                <div class="rule-title">${this.escapeHtml(system.name)}</div>
                                 <div class="rule-meta"><strong>Rules:</strong> ${systemRules.length}</div>
                                 ${system.successMetrics ? `
-                                    <div class="rule-meta"><strong>Success Metrics:</strong> ${system.successMetrics.substring(0, 100)}${system.successMetrics.length > 100 ? '...' : ''}</div>
+                                    <div class="rule-meta"><strong>Success Metrics:</strong> ${this.escapeHtml(system.successMetrics.substring(0, 100))}${system.successMetrics.length > 100 ? '...' : ''}</div>
                                 ` : '<div class="rule-meta" style="color: #666;">No success metrics defined</div>'}
                             </div>
                         `;
@@ -386,8 +875,15 @@ class PersonalRulesApp {
      */
     async showSystemDialog(systemName = null) {
         const isEdit = !!systemName;
+        if (isEdit) {
+            const listed = this.systems.find(s => s.name === systemName);
+            if (listed && listed.systemId) {
+                this.setRoute(`#/systems/${listed.systemId}`, true);
+            }
+        }
         const system = isEdit ? await this.db.getSystem(systemName) : null;
-        const nextId = isEdit ? null : await this.db.getNextSystemId();
+        // Systems saved before IDs existed get one when they're next edited
+        const nextId = isEdit && system?.systemId ? null : await this.db.getNextSystemId();
 
         const modal = document.createElement('div');
         modal.className = 'modal';
@@ -403,20 +899,24 @@ class PersonalRulesApp {
 
                     <div class="form-group">
                         <label class="form-label">System Name *</label>
-                        <input type="text" class="form-input" id="systemName" value="${system?.name || ''}" placeholder="e.g., Sunday Routine" ${isEdit ? 'readonly' : ''} required>
-                        ${isEdit ? '<div class="form-help">System name cannot be changed</div>' : ''}
+                        <input type="text" class="form-input" id="systemName" value="${this.escapeHtml(system?.name)}" placeholder="e.g., Sunday Routine" required>
+                        ${isEdit ? '<div class="form-help">Renaming also renames it on every rule in this system</div>' : ''}
                     </div>
 
                     <div class="form-group">
                         <label class="form-label">Success Metrics</label>
-                        <textarea class="form-textarea" id="systemSuccessMetrics" placeholder="How will you measure success for rules in this system?">${system?.successMetrics || ''}</textarea>
+                        <textarea class="form-textarea" id="systemSuccessMetrics" placeholder="How will you measure success for rules in this system?">${this.escapeHtml(system?.successMetrics)}</textarea>
                         <div class="form-help">Rules can inherit these metrics or define their own</div>
                     </div>
 
                     <div class="action-buttons">
                         <button type="submit" class="btn btn-primary">${isEdit ? 'Update' : 'Create'} System</button>
                         <button type="button" class="btn btn-secondary" id="cancelSystem">Cancel</button>
-                        ${isEdit ? '<button type="button" class="btn btn-danger" id="deleteSystem">Delete System</button>' : ''}
+                        ${isEdit ? `
+                            <button type="button" class="btn btn-secondary" id="moveSystemRules">Move Rules</button>
+                            <button type="button" class="btn btn-secondary" id="mergeSystem">Merge Into…</button>
+                            <button type="button" class="btn btn-danger" id="deleteSystem">Delete System</button>
+                        ` : ''}
                     </div>
                 </form>
             </div>
@@ -443,8 +943,29 @@ class PersonalRulesApp {
                 updatedAt: new Date().toISOString()
             };
 
+            const isRename = isEdit && name !== systemName;
+            if (isRename && this.systems.some(s => s.name === name)) {
+                alert(`A system named "${name}" already exists`);
+                return;
+            }
+
             try {
-                if (isEdit) {
+                const snapshot = this.takeSnapshot();
+                if (isRename) {
+                    const before = new Map(this.rules.filter(r => r.system === systemName).map(r => [r.id, { ...r }]));
+                    const renamedRules = await this.db.renameSystem(systemName, systemData);
+                    for (const rule of renamedRules) {
+                        await this.logRuleEvent('edited', before.get(rule.id) || null, rule);
+                    }
+
+                    // Keep an active search filter pointing at the same system
+                    const filtered = this.searchState.filters.systems;
+                    if (filtered.includes(systemName)) {
+                        filtered.splice(filtered.indexOf(systemName), 1, name);
+                    }
+
+                    this.showSuccess(`System renamed to "${name}" (${renamedRules.length} ${renamedRules.length === 1 ? 'rule' : 'rules'} updated).`);
+                } else if (isEdit) {
                     await this.db.updateSystem(systemData);
                     this.showSuccess(`System "${name}" updated successfully!`);
                 } else {
@@ -452,6 +973,7 @@ class PersonalRulesApp {
                     this.showSuccess(`System "${name}" created successfully!`);
                 }
                 await this.loadRules();
+                this.recordHistory(isEdit ? `Edit system "${name}"` : `Create system "${name}"`, snapshot);
                 document.body.removeChild(modal);
                 this.renderView('systems');
             } catch (error) {
@@ -463,8 +985,33 @@ class PersonalRulesApp {
         // Handle cancel
         document.getElementById('cancelSystem').addEventListener('click', () => {
             document.body.removeChild(modal);
+            this.setRoute('#/systems', true);
         });
 
+        // Handle move and merge
+        if (isEdit) {
+            document.getElementById('moveSystemRules').addEventListener('click', () => {
+                const systemRules = this.rules.filter(r => r.system === systemName);
+                if (systemRules.length === 0) {
+                    alert(`System "${systemName}" has no rules to move.`);
+                    return;
+                }
+                document.body.removeChild(modal);
+                this.setRoute('#/systems', true);
+                this.showMoveRulesDialog(systemRules.map(r => r.id), { choose: true });
+            });
+
+            document.getElementById('mergeSystem').addEventListener('click', () => {
+                if (this.systems.length < 2) {
+                    alert('There is no other system to merge into.');
+                    return;
+                }
+                document.body.removeChild(modal);
+                this.setRoute('#/systems', true);
+                this.showMergeSystemDialog(systemName);
+            });
+        }
+
         // Handle delete
         if (isEdit) {
             document.getElementById('deleteSystem').addEventListener('click', async () => {
@@ -476,9 +1023,14 @@ class PersonalRulesApp {
 
                 if (confirm(`Are you sure you want to delete the system "${systemName}"?`)) {
                     try {
+                        const snapshot = this.takeSnapshot();
                         await this.db.deleteSystem(systemName);
                         await this.loadRules();
-                        this.showSuccess(`System "${systemName}" deleted successfully!`);
+                        const command = this.recordHistory(`Delete system "${systemName}"`, snapshot);
+                        this.showSuccess(`System "${systemName}" deleted successfully!`, {
+                            label: 'Undo',
+                            onClick: () => this.undo(command)
+                        });
                         document.body.removeChild(modal);
                         this.renderView('systems');
                     } catch (error) {
@@ -491,84 +1043,55 @@ class PersonalRulesApp {
     }
 
     /**
-     * Attach proposed rules listeners
-     */
-    attachProposedListeners() {
-        // Pass buttons
-        document.querySelectorAll('[data-action="pass"]').forEach(btn => {
-            btn.addEventListener('click', async (e) => {
-                const ruleId = e.target.dataset.id;
-                await this.showPassDialog(ruleId);
-            });
-        });
-
-        // Edit buttons
-        document.querySelectorAll('[data-action="edit-proposed"]').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const ruleId = e.target.dataset.id;
-                this.showEditProposedForm(ruleId);
-            });
-        });
-
-        // Reject buttons
-        document.querySelectorAll('[data-action="reject"]').forEach(btn => {
-            btn.addEventListener('click', async (e) => {
-                const ruleId = e.target.dataset.id;
-                if (confirm('Are you sure you want to reject this rule?')) {
-                    await this.rejectRule(ruleId);
-                }
-            });
-        });
-
-        // View detail buttons
-        document.querySelectorAll('[data-action="view-detail"]').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const ruleId = e.target.dataset.id;
-                this.showRuleDetail(ruleId);
-            });
-        });
-    }
-
-    /**
-     * Show amendment creation dialog
+     * Show dialog for moving rules to another system
+     * @param {Array<string>} ruleIds - Rules to move
+     * @param {Object} options - { choose: true } lists the rules with checkboxes so a subset can be picked
      */
-    async showAmendmentDialog(baseRuleId) {
-        const baseRule = this.rules.find(r => r.id === baseRuleId);
-        if (!baseRule) return;
+    showMoveRulesDialog(ruleIds, { choose = false } = {}) {
+        const rules = ruleIds.map(id => this.rules.find(r => r.id === id)).filter(Boolean);
+        if (rules.length === 0) return;
 
-        // Get existing amendments to determine next number
-        const amendments = await this.db.getAmendments(baseRuleId);
-        const nextAmendmentNum = amendments.length + 1;
-        const amendmentId = `${baseRuleId}A${nextAmendmentNum}`;
+        const currentSystems = new Set(rules.map(r => r.system));
+        const targets = this.systems.filter(s => !(currentSystems.size === 1 && currentSystems.has(s.name)));
 
         const modal = document.createElement('div');
         modal.className = 'modal';
         modal.innerHTML = `
             <div class="modal-content">
-                <h3>Create Amendment to ${baseRuleId}</h3>
-                <p style="color: #888; margin-bottom: 20px; font-size: 13px;">Amendment ID will be: ${amendmentId}</p>
-                
-                <form id="amendmentForm">
-                    <div class="form-group">
-                        <label class="form-label">What changed? *</label>
-                        <textarea class="form-textarea" id="amendmentChanges" placeholder="Describe what you're changing about this rule..." required></textarea>
-                        <div class="form-help">This will become the amendment's title</div>
-                    </div>
+                <h3>Move ${rules.length === 1 ? this.escapeHtml(rules[0].id) : 'Rules'} to System</h3>
+                <form id="moveRulesForm">
+                    ${choose ? `
+                        <div class="form-group">
+                            <label class="form-label">Rules to move</label>
+                            ${rules.map(rule => `
+                                <label class="form-radio" style="margin-top: 0;">
+                                    <input type="checkbox" class="move-rule" value="${this.escapeHtml(rule.id)}" checked>
+                                    ${this.escapeHtml(rule.id)} — ${this.escapeHtml(rule.title)}
+                                </label>
+                            `).join('')}
+                        </div>
+                    ` : ''}
 
                     <div class="form-group">
-                        <label class="form-label">Updated Purpose/Hypothesis Clause *</label>
-                        <textarea class="form-textarea" id="amendmentClauseText" required>${baseRule.clauseText}</textarea>
-                        <div class="form-help">Edit the clause to reflect the amendment</div>
+                        <label class="form-label">Target System *</label>
+                        <select class="form-select" id="moveTargetSystem">
+                            ${targets.map(s => `<option value="${this.escapeHtml(s.name)}">${this.escapeHtml(s.name)}</option>`).join('')}
+                            <option value="__new__">+ Create New System</option>
+                        </select>
+                        <input type="text" class="form-input" id="moveNewSystem" placeholder="Enter new system name" style="display: ${targets.length === 0 ? 'block' : 'none'}; margin-top: 8px;">
                     </div>
 
                     <div class="form-group">
-                        <label class="form-label">Updated Body</label>
-                        <textarea class="form-textarea" id="amendmentBody">${baseRule.body || ''}</textarea>
+                        <label class="form-radio" style="margin-top: 0;">
+                            <input type="checkbox" id="moveInheritMetrics">
+                            Use the target system's success metrics
+                        </label>
+                        <div class="form-help">Otherwise each rule keeps its current metrics. Metrics inherited from the old system are kept as custom metrics.</div>
                     </div>
 
                     <div class="action-buttons">
-                        <button type="submit" class="btn btn-primary">Create Amendment</button>
-                        <button type="button" class="btn btn-secondary" id="cancelAmendment">Cancel</button>
+                        <button type="submit" class="btn btn-primary">Move</button>
+                        <button type="button" class="btn btn-secondary" id="cancelMove">Cancel</button>
                     </div>
                 </form>
             </div>
@@ -576,12 +1099,323 @@ class PersonalRulesApp {
 
         document.body.appendChild(modal);
 
-        // Handle form submission
-        document.getElementById('amendmentForm').addEventListener('submit', async (e) => {
+        const targetSelect = document.getElementById('moveTargetSystem');
+        const newSystemInput = document.getElementById('moveNewSystem');
+        if (targets.length === 0) {
+            targetSelect.value = '__new__';
+        }
+        targetSelect.addEventListener('change', () => {
+            newSystemInput.style.display = targetSelect.value === '__new__' ? 'block' : 'none';
+        });
+
+        document.getElementById('moveRulesForm').addEventListener('submit', async (e) => {
             e.preventDefault();
-            
-            const changes = document.getElementById('amendmentChanges').value.trim();
-            const clauseText = document.getElementById('amendmentClauseText').value.trim();
+            const targetName = targetSelect.value === '__new__' ? newSystemInput.value.trim() : targetSelect.value;
+            const selectedIds = choose
+                ? [...modal.querySelectorAll('.move-rule:checked')].map(input => input.value)
+                : ruleIds;
+
+            if (!targetName) {
+                alert('Please choose or name a target system');
+                return;
+            }
+            if (selectedIds.length === 0) {
+                alert('Please select at least one rule');
+                return;
+            }
+
+            const inheritMetrics = document.getElementById('moveInheritMetrics').checked;
+            document.body.removeChild(modal);
+            await this.moveRules(selectedIds, targetName, { inheritMetrics });
+        });
+
+        document.getElementById('cancelMove').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+    }
+
+    /**
+     * Move rules to another system in one transaction
+     * Rule metrics are snapshots, so metrics inherited from the old system
+     * become custom metrics unless the target's metrics are inherited instead.
+     * @param {Array<string>} ruleIds - Rules to move
+     * @param {string} targetName - Target system, created if it doesn't exist
+     * @param {Object} options - { inheritMetrics } to take the target system's metrics
+     */
+    async moveRules(ruleIds, targetName, { inheritMetrics = false } = {}) {
+        try {
+            // Validate before creating a new target, so a refused move leaves no empty system behind
+            const existing = await this.db.getSystem(targetName);
+            if (inheritMetrics && !existing?.successMetrics) {
+                this.showError(`The system "${targetName}" has no success metrics to inherit.`);
+                return;
+            }
+
+            const rules = ruleIds
+                .map(id => this.rules.find(r => r.id === id))
+                .filter(rule => rule && rule.system !== targetName);
+
+            if (rules.length === 0) {
+                this.showError(`Those rules are already in "${targetName}".`);
+                return;
+            }
+
+            const snapshot = this.takeSnapshot();
+            const target = existing || await this.ensureSystem(targetName);
+            const moves = rules.map(rule => ({ before: { ...rule }, after: this.withSystem(rule, target, inheritMetrics) }));
+
+            await this.db.applyRuleBatch({
+                put: moves.map(m => m.after),
+                events: moves.map(({ before, after }) => this.buildRuleEvent('moved', before, after))
+            });
+            await this.loadRules();
+            this.recordHistory(`Move ${moves.length} ${moves.length === 1 ? 'rule' : 'rules'} to "${target.name}"`, snapshot);
+            this.selection = null;
+
+            this.showSuccess(`Moved ${moves.length} ${moves.length === 1 ? 'rule' : 'rules'} to "${target.name}".`);
+            this.currentRoute = null;
+            this.applyRoute();
+        } catch (error) {
+            console.error('Failed to move rules:', error);
+            this.showError('Failed to move rules. Please try again.');
+        }
+    }
+
+    /**
+     * Copy of a rule assigned to another system
+     * @param {Object} rule - Rule to move
+     * @param {Object} target - Target system record
+     * @param {boolean} inheritMetrics - Take the target system's success metrics
+     */
+    withSystem(rule, target, inheritMetrics = false) {
+        const moved = {
+            ...rule,
+            system: target.name,
+            systemId: target.systemId,
+            updatedAt: new Date().toISOString()
+        };
+
+        if (inheritMetrics && target.successMetrics) {
+            moved.successMetrics = target.successMetrics;
+            moved.successMetricsSource = 'system';
+        } else if (rule.successMetricsSource === 'system' && rule.successMetrics !== target.successMetrics) {
+            moved.successMetricsSource = 'custom';
+        }
+
+        return moved;
+    }
+
+    /**
+     * Show dialog for merging a system into another one
+     */
+    showMergeSystemDialog(sourceName) {
+        const source = this.systems.find(s => s.name === sourceName);
+        const targets = this.systems.filter(s => s.name !== sourceName);
+        const ruleCount = this.rules.filter(r => r.system === sourceName).length;
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Merge "${this.escapeHtml(sourceName)}"</h3>
+                <p style="color: #888; margin-bottom: 20px; font-size: 13px;">
+                    Moves its ${ruleCount} ${ruleCount === 1 ? 'rule' : 'rules'} into the chosen system, adds its success metrics to that system's and deletes "${this.escapeHtml(sourceName)}".
+                </p>
+                <form id="mergeSystemForm">
+                    <div class="form-group">
+                        <label class="form-label">Merge into *</label>
+                        <select class="form-select" id="mergeTargetSystem">
+                            ${targets.map(s => `<option value="${this.escapeHtml(s.name)}">${this.escapeHtml(s.name)}</option>`).join('')}
+                        </select>
+                    </div>
+
+                    <div class="form-group">
+                        <div class="detail-label">Combined Success Metrics</div>
+                        <div class="detail-clause"><div class="rule-text" id="mergeMetricsPreview"></div></div>
+                    </div>
+
+                    <div class="action-buttons">
+                        <button type="submit" class="btn btn-danger">Merge</button>
+                        <button type="button" class="btn btn-secondary" id="cancelMergeSystem">Cancel</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const targetSelect = document.getElementById('mergeTargetSystem');
+        const updatePreview = () => {
+            const target = targets.find(s => s.name === targetSelect.value);
+            const combined = this.combineSuccessMetrics(target, source);
+            document.getElementById('mergeMetricsPreview').textContent = combined || 'No success metrics defined';
+        };
+        targetSelect.addEventListener('change', updatePreview);
+        updatePreview();
+
+        document.getElementById('mergeSystemForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!confirm(`Merge "${sourceName}" into "${targetSelect.value}"? "${sourceName}" will be deleted.`)) {
+                return;
+            }
+            document.body.removeChild(modal);
+            await this.mergeSystems(sourceName, targetSelect.value);
+        });
+
+        document.getElementById('cancelMergeSystem').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+    }
+
+    /**
+     * Target metrics followed by the source's, skipping empty or repeated text
+     */
+    combineSuccessMetrics(target, source) {
+        const parts = [target && target.successMetrics, source && source.successMetrics]
+            .filter(Boolean)
+            .map(text => text.trim());
+        return [...new Set(parts)].join('\n\n') || null;
+    }
+
+    /**
+     * Merge one system into another: move all of its rules, combine
+     * success metrics and delete the source, in one transaction
+     */
+    async mergeSystems(sourceName, targetName) {
+        try {
+            const snapshot = this.takeSnapshot();
+            const source = this.systems.find(s => s.name === sourceName);
+            const target = this.systems.find(s => s.name === targetName);
+            if (!source || !target || source === target) return;
+
+            const mergedTarget = {
+                ...target,
+                successMetrics: this.combineSuccessMetrics(target, source),
+                updatedAt: new Date().toISOString()
+            };
+
+            const moves = this.rules
+                .filter(r => r.system === sourceName)
+                .map(rule => ({ before: { ...rule }, after: this.withSystem(rule, mergedTarget) }));
+
+            await this.db.mergeSystems(
+                sourceName,
+                mergedTarget,
+                moves.map(m => m.after),
+                moves.map(({ before, after }) => this.buildRuleEvent('moved', before, after))
+            );
+
+            const filtered = this.searchState.filters.systems;
+            if (filtered.includes(sourceName)) {
+                filtered.splice(filtered.indexOf(sourceName), 1);
+            }
+
+            await this.loadRules();
+            this.recordHistory(`Merge "${sourceName}" into "${targetName}"`, snapshot);
+            this.showSuccess(`Merged "${sourceName}" into "${targetName}" (${moves.length} ${moves.length === 1 ? 'rule' : 'rules'} moved).`);
+            this.showView('systems');
+        } catch (error) {
+            console.error('Failed to merge systems:', error);
+            this.showError('Failed to merge systems. Please try again.');
+        }
+    }
+
+    /**
+     * Attach proposed rules listeners
+     */
+    attachProposedListeners() {
+        // Pass buttons
+        document.querySelectorAll('[data-action="pass"]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const ruleId = e.target.dataset.id;
+                await this.showPassDialog(ruleId);
+            });
+        });
+
+        // Edit buttons
+        document.querySelectorAll('[data-action="edit-proposed"]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const ruleId = e.target.dataset.id;
+                this.showEditProposedForm(ruleId);
+            });
+        });
+
+        // Reject buttons
+        document.querySelectorAll('[data-action="reject"]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const ruleId = e.target.dataset.id;
+                if (confirm('Are you sure you want to reject this rule?')) {
+                    await this.rejectRule(ruleId);
+                }
+            });
+        });
+
+        // View detail buttons
+        document.querySelectorAll('[data-action="view-detail"]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const ruleId = e.target.dataset.id;
+                this.showRuleDetail(ruleId);
+            });
+        });
+    }
+
+    /**
+     * Show amendment creation dialog
+     */
+    async showAmendmentDialog(ruleId) {
+        const currentRule = this.rules.find(r => r.id === ruleId);
+        if (!currentRule) return;
+
+        // Amendments always hang off the original rule, even when amending an amendment
+        const baseRuleId = currentRule.baseRuleId || currentRule.id;
+
+        // Preview the next amendment number; it's only reserved when the amendment is created
+        const { id: previewId } = await this.db.allocateAmendmentId(baseRuleId, { reserve: false });
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Create Amendment to ${this.escapeHtml(baseRuleId)}</h3>
+                <p style="color: #888; margin-bottom: 20px; font-size: 13px;">Amendment ID will be: ${this.escapeHtml(previewId)}</p>
+                
+                <form id="amendmentForm">
+                    <div class="form-group">
+                        <label class="form-label">What changed? *</label>
+                        <textarea class="form-textarea" id="amendmentChanges" placeholder="Describe what you're changing about this rule..." required></textarea>
+                        <div class="form-help">This will become the amendment's title</div>
+                    </div>
+
+                    <div class="form-group">
+                        <label class="form-label">Updated Purpose/Hypothesis Clause *</label>
+                        <textarea class="form-textarea" id="amendmentClauseText" required>${this.escapeHtml(currentRule.clauseText)}</textarea>
+                        <div class="form-help">Edit the clause to reflect the amendment</div>
+                    </div>
+
+                    <div class="form-group">
+                        <label class="form-label">Updated Body</label>
+                        <textarea class="form-textarea" id="amendmentBody">${this.escapeHtml(currentRule.body)}</textarea>
+                    </div>
+
+                    ${this.renderScheduleFields(currentRule.schedule)}
+
+                    <div class="action-buttons">
+                        <button type="submit" class="btn btn-primary">Create Amendment</button>
+                        <button type="button" class="btn btn-secondary" id="cancelAmendment">Cancel</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        this.attachScheduleListeners();
+
+        // Handle form submission
+        document.getElementById('amendmentForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const changes = document.getElementById('amendmentChanges').value.trim();
+            const clauseText = document.getElementById('amendmentClauseText').value.trim();
             const body = document.getElementById('amendmentBody').value.trim();
 
             if (!changes || !clauseText) {
@@ -589,30 +1423,45 @@ class PersonalRulesApp {
                 return;
             }
 
-            // Create amendment rule
-            const amendment = {
-                id: amendmentId,
-                title: `Amendment ${nextAmendmentNum}: ${changes}`,
-                system: baseRule.system,
-                status: 'proposed', // Amendments start as proposed
-                passedDate: null,
-                effectiveDate: null,
-                effectiveDateType: null,
-                expirationDate: null,
-                clauseType: baseRule.clauseType,
-                clauseText: clauseText,
-                successMetrics: baseRule.successMetrics,
-                successMetricsSource: baseRule.successMetricsSource,
-                body: body,
-                isArchived: false,
-                baseRuleId: baseRuleId,
-                amendmentNumber: nextAmendmentNum,
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
+            const { schedule, error: scheduleError } = this.readScheduleFields();
+            if (scheduleError) {
+                alert(scheduleError);
+                return;
+            }
 
             try {
+                const { id: amendmentId, amendmentNumber } = await this.db.allocateAmendmentId(baseRuleId);
+
+                // Create amendment rule
+                const amendment = {
+                    id: amendmentId,
+                    title: `Amendment ${amendmentNumber}: ${changes}`,
+                    system: currentRule.system,
+                    systemId: currentRule.systemId,
+                    status: 'proposed', // Amendments start as proposed
+                    passedDate: null,
+                    effectiveDate: null,
+                    effectiveDateType: null,
+                    expirationDate: null,
+                    clauseType: currentRule.clauseType,
+                    clauseText: clauseText,
+                    successMetrics: currentRule.successMetrics,
+                    successMetricsSource: currentRule.successMetricsSource,
+                    sunsetType: currentRule.sunsetType,
+                    customSunsetDays: currentRule.customSunsetDays,
+                    body: body,
+                    markdown: !!currentRule.markdown,
+                    relations: [...this.getRelations(currentRule)],
+                    schedule,
+                    isArchived: false,
+                    baseRuleId: baseRuleId,
+                    amendmentNumber,
+                    createdAt: new Date().toISOString(),
+                    updatedAt: new Date().toISOString()
+                };
+
                 await this.db.createRule(amendment);
+                await this.logRuleEvent('created', null, amendment);
                 await this.loadRules();
                 this.showSuccess(`Amendment ${amendmentId} created successfully!`);
                 document.body.removeChild(modal);
@@ -631,17 +1480,35 @@ class PersonalRulesApp {
 
     /**
      * Show pass dialog for setting effective date
+     * @param {string|Array<string>} ruleIds - One rule, or several passed together with the same effective date
      */
-    async showPassDialog(ruleId) {
-        const rule = this.rules.find(r => r.id === ruleId);
-        if (!rule) return;
+    async showPassDialog(ruleIds) {
+        const rules = [].concat(ruleIds).map(id => this.rules.find(r => r.id === id)).filter(Boolean);
+        if (rules.length === 0) return;
+
+        // Link problems, counting the rules passed together as active
+        const batchIds = rules.map(r => r.id);
+        const notes = rules.flatMap(rule => [
+            ...this.getRelationWarnings(rule, batchIds).map(text => ({ rule, text: `⚠ ${text}` })),
+            ...this.getRelations(rule, 'replaces').map(rel => ({ rule, text: `Will supersede ${rel.ruleId} when it takes effect.` }))
+        ]);
 
         // Create modal dialog
         const modal = document.createElement('div');
         modal.className = 'modal';
         modal.innerHTML = `
             <div class="modal-content">
-                <h3>Pass Rule: ${rule.title}</h3>
+                <h3>${rules.length === 1 ? `Pass Rule: ${this.escapeHtml(rules[0].title)}` : `Pass ${rules.length} Rules`}</h3>
+                ${rules.length > 1 ? `
+                    <div class="form-group">
+                        ${rules.map(rule => `<div class="rule-meta">${this.escapeHtml(rule.id)} — ${this.escapeHtml(rule.title)}</div>`).join('')}
+                    </div>
+                ` : ''}
+                ${notes.length > 0 ? `
+                    <div class="form-group">
+                        ${notes.map(({ rule, text }) => `<div class="relation-warning">${rules.length > 1 ? `${this.escapeHtml(rule.id)}: ` : ''}${this.escapeHtml(text)}</div>`).join('')}
+                    </div>
+                ` : ''}
                 <div class="form-group">
                     <label class="form-label">Effective Date</label>
                     <div class="form-radio">
@@ -693,8 +1560,12 @@ class PersonalRulesApp {
                 effectiveDate = new Date(customDateInput.value);
             }
 
-            await this.passRule(ruleId, effectiveDate, effectiveDateType);
             document.body.removeChild(modal);
+            if (rules.length === 1) {
+                await this.passRule(rules[0].id, effectiveDate, effectiveDateType);
+            } else {
+                await this.runBatch('pass', rules.map(r => r.id), { effectiveDate, effectiveDateType });
+            }
         });
 
         // Handle cancel
@@ -708,36 +1579,30 @@ class PersonalRulesApp {
      */
     async passRule(ruleId, effectiveDate, effectiveDateType) {
         try {
+            const snapshot = this.takeSnapshot();
             const rule = this.rules.find(r => r.id === ruleId);
             if (!rule || rule.status !== 'proposed') {
                 throw new Error('Only proposed rules can be passed');
             }
 
-            const passedDate = new Date();
-
-            // Compute expiration based on sunset clause
-            let expirationDate = null;
-            if (rule.sunsetType === 'indefinite') {
-                expirationDate = null; // no expiration
-            } else if (rule.sunsetType === 'custom' && rule.customSunsetDays) {
-                expirationDate = new Date(effectiveDate);
-                expirationDate.setDate(expirationDate.getDate() + rule.customSunsetDays);
-            } else {
-                // default: 30 days
-                expirationDate = new Date(effectiveDate);
-                expirationDate.setDate(expirationDate.getDate() + 30);
+            const blocker = this.getPassBlocker(rule);
+            if (blocker) {
+                this.showError(blocker);
+                return;
             }
 
-            // Update rule
-            rule.status = effectiveDate <= new Date() ? 'active' : 'passed';
-            rule.passedDate = passedDate.toISOString();
-            rule.effectiveDate = effectiveDate.toISOString();
-            rule.effectiveDateType = effectiveDateType === 'same' ? 'sameAsPassedDate' : 'custom';
-            rule.expirationDate = expirationDate ? expirationDate.toISOString() : null;
-            rule.updatedAt = new Date().toISOString();
+            const before = { ...rule };
+            Object.assign(rule, this.buildPassedRule(rule, effectiveDate, effectiveDateType));
 
             await this.db.updateRule(rule);
+            await this.logRuleEvent('passed', before, rule);
+            if (rule.status === 'active') {
+                // Effective today, so it skips the wait the daily status check would log
+                await this.logRuleEvent('activated', { ...rule, status: 'passed' }, rule);
+                await this.supersedePreviousVersions(rule);
+            }
             await this.loadRules();
+            this.recordHistory(`Pass ${rule.id}`, snapshot);
             
             this.showSuccess(`Rule "${rule.title}" has been passed!`);
             this.renderView(this.currentView);
@@ -747,21 +1612,74 @@ class PersonalRulesApp {
         }
     }
 
+    /**
+     * Reason a proposed rule can't be passed right now, or null
+     */
+    getPassBlocker(rule) {
+        // An amendment can't replace a newer version that is already in force
+        const newerVersion = this.getAmendmentChain(rule).find(r =>
+            r.amendmentNumber > rule.amendmentNumber && (r.status === 'active' || r.status === 'passed')
+        );
+        return newerVersion ? `${newerVersion.id} is a newer version of this rule and is already passed.` : null;
+    }
+
+    /**
+     * Copy of a proposed rule as passed with the given effective date
+     * Active right away when the effective date is today or earlier.
+     */
+    buildPassedRule(rule, effectiveDate, effectiveDateType) {
+        const passedDate = new Date();
+
+        // An amendment takes over the remaining term of the version it replaces
+        const predecessor = rule.amendmentNumber > 0 ? this.getRuleInForce(rule) : null;
+        const inheritsTerm = predecessor &&
+            (!predecessor.expirationDate || new Date(predecessor.expirationDate) > effectiveDate);
+
+        // Compute expiration based on sunset clause
+        let expirationDate = null;
+        if (inheritsTerm) {
+            expirationDate = predecessor.expirationDate ? new Date(predecessor.expirationDate) : null;
+        } else if (rule.sunsetType === 'indefinite') {
+            expirationDate = null; // no expiration
+        } else if (rule.sunsetType === 'custom' && rule.customSunsetDays) {
+            expirationDate = new Date(effectiveDate);
+            expirationDate.setDate(expirationDate.getDate() + rule.customSunsetDays);
+        } else {
+            // default: 30 days
+            expirationDate = new Date(effectiveDate);
+            expirationDate.setDate(expirationDate.getDate() + 30);
+        }
+
+        return {
+            ...rule,
+            status: effectiveDate <= new Date() ? 'active' : 'passed',
+            passedDate: passedDate.toISOString(),
+            effectiveDate: effectiveDate.toISOString(),
+            effectiveDateType: effectiveDateType === 'same' ? 'sameAsPassedDate' : 'custom',
+            expirationDate: expirationDate ? expirationDate.toISOString() : null,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
     /**
      * Reject a rule
      */
     async rejectRule(ruleId) {
         try {
+            const snapshot = this.takeSnapshot();
             const rule = this.rules.find(r => r.id === ruleId);
             if (!rule || rule.status !== 'proposed') {
                 throw new Error('Only proposed rules can be rejected');
             }
 
+            const before = { ...rule };
             rule.status = 'rejected';
             rule.updatedAt = new Date().toISOString();
 
             await this.db.updateRule(rule);
+            await this.logRuleEvent('rejected', before, rule);
             await this.loadRules();
+            this.recordHistory(`Reject ${rule.id}`, snapshot);
             
             this.showSuccess(`Rule "${rule.title}" has been rejected.`);
             this.renderView(this.currentView);
@@ -773,10 +1691,12 @@ class PersonalRulesApp {
 
     /**
      * Render create/edit form
+     * @param {Object} rule - Proposed rule to edit; null for a new rule
+     * @param {Object} draft - Form data for a new rule, e.g. filled from a template
      */
-    renderCreateForm(rule = null) {
+    renderCreateForm(rule = null, draft = null) {
         const isEdit = !!rule;
-        const formData = rule || {
+        const formData = rule || draft || {
             title: '',
             system: '',
             clauseType: 'purpose',
@@ -789,20 +1709,32 @@ class PersonalRulesApp {
         // Get existing system names for dropdown
         const existingSystems = [...new Set(this.rules.map(r => r.system))];
         const definedSystems = this.systems.map(s => s.name);
-        const allSystems = [...new Set([...definedSystems, ...existingSystems])].sort();
+        const allSystems = [...new Set([...definedSystems, ...existingSystems, formData.system].filter(Boolean))].sort();
 
         return `
             <form id="ruleForm">
+                ${!isEdit && this.templates.length > 0 ? `
+                    <div class="form-group">
+                        <label class="form-label">Start from Template</label>
+                        <select class="form-select" id="templateSelect">
+                            <option value="">-- Blank Rule --</option>
+                            ${this.templates.map(t => `<option value="${this.escapeHtml(t.name)}" ${formData.templateName === t.name ? 'selected' : ''}>${this.escapeHtml(t.name)}</option>`).join('')}
+                        </select>
+                        ${formData.templateName ? `<button type="button" class="btn btn-secondary btn-small" id="deleteTemplate" style="margin-top: 8px;">Delete Template</button>` : ''}
+                        <div class="form-help">Save any rule as a template from its detail page</div>
+                    </div>
+                ` : ''}
+
                 <div class="form-group">
                     <label class="form-label">Title *</label>
-                    <input type="text" class="form-input" id="title" value="${formData.title}" placeholder="e.g., Prepare 3 lunches every Sunday" required>
+                    <input type="text" class="form-input" id="title" value="${this.escapeHtml(formData.title)}" placeholder="e.g., Prepare 3 lunches every Sunday" required>
                 </div>
 
                 <div class="form-group">
                     <label class="form-label">System *</label>
                     <select class="form-select" id="systemSelect">
                         <option value="">-- Select Existing or Create New --</option>
-                        ${allSystems.map(sys => `<option value="${sys}" ${formData.system === sys ? 'selected' : ''}>${sys}</option>`).join('')}
+                        ${allSystems.map(sys => `<option value="${this.escapeHtml(sys)}" ${formData.system === sys ? 'selected' : ''}>${this.escapeHtml(sys)}</option>`).join('')}
                         <option value="__new__">+ Create New System</option>
                     </select>
                     <input type="text" class="form-input" id="systemInput" placeholder="Enter new system name" style="display: none; margin-top: 8px;">
@@ -825,7 +1757,7 @@ class PersonalRulesApp {
 
                 <div class="form-group">
                     <label class="form-label">Purpose/Hypothesis Clause *</label>
-                    <textarea class="form-textarea" id="clauseText" placeholder="Explain why this rule exists..." required>${formData.clauseText}</textarea>
+                    <textarea class="form-textarea" id="clauseText" placeholder="Explain why this rule exists..." required>${this.escapeHtml(formData.clauseText)}</textarea>
                 </div>
 
                 <div class="form-group">
@@ -848,7 +1780,7 @@ class PersonalRulesApp {
 
                 <div class="form-group" id="customMetricsGroup" style="${formData.successMetricsType === 'custom' ? '' : 'display: none;'}">
                     <label class="form-label">Custom Success Metrics</label>
-                    <textarea class="form-textarea" id="successMetrics" placeholder="How will you measure if this rule works?">${formData.successMetricsType === 'custom' ? formData.successMetrics : ''}</textarea>
+                    <textarea class="form-textarea" id="successMetrics" placeholder="How will you measure if this rule works?">${formData.successMetricsType === 'custom' ? this.escapeHtml(formData.successMetrics) : ''}</textarea>
                 </div>
 
                 <div id="systemMetricsPreview" style="display: none; margin-bottom: 20px;">
@@ -858,9 +1790,19 @@ class PersonalRulesApp {
 
                 <div class="form-group">
                     <label class="form-label">Body</label>
-                    <textarea class="form-textarea" id="body" placeholder="Additional details or context...">${formData.body}</textarea>
+                    <textarea class="form-textarea" id="body" placeholder="Additional details or context...">${this.escapeHtml(formData.body)}</textarea>
+                </div>
+
+                <div class="form-group">
+                    <label class="form-radio" style="margin-top: 0;">
+                        <input type="checkbox" id="markdown" ${formData.markdown ? 'checked' : ''}>
+                        Format clause, success metrics and body as Markdown
+                    </label>
+                    <div class="form-help">Lists, **bold**, *italic*, \`code\` and [links](https://example.com)</div>
                 </div>
 
+                ${this.renderScheduleFields(formData.schedule)}
+
                 <div class="form-group">
                     <label class="form-label">Sunset Clause</label>
                     <div class="form-radio">
@@ -898,6 +1840,21 @@ class PersonalRulesApp {
         const form = document.getElementById('ruleForm');
         const systemSelect = document.getElementById('systemSelect');
         const systemInput = document.getElementById('systemInput');
+
+        // Template picker
+        const templateSelect = document.getElementById('templateSelect');
+        if (templateSelect) {
+            templateSelect.addEventListener('change', (e) => {
+                this.startFromTemplate(e.target.value);
+            });
+        }
+
+        const deleteTemplateBtn = document.getElementById('deleteTemplate');
+        if (deleteTemplateBtn) {
+            deleteTemplateBtn.addEventListener('click', async () => {
+                await this.deleteTemplate(templateSelect.value);
+            });
+        }
         
         // System selector logic
         systemSelect.addEventListener('change', async (e) => {
@@ -952,6 +1909,8 @@ class PersonalRulesApp {
             });
         });
 
+        this.attachScheduleListeners();
+
         // Cancel edit button (when editing a proposed rule)
         const cancelEditBtn = document.getElementById('cancelEdit');
         if (cancelEditBtn) {
@@ -1020,6 +1979,7 @@ class PersonalRulesApp {
             const clauseText = document.getElementById('clauseText').value.trim();
             const successMetricsType = document.querySelector('input[name="successMetricsType"]:checked').value;
             const body = document.getElementById('body').value.trim();
+            const markdown = document.getElementById('markdown').checked;
             const sunsetType = document.querySelector('input[name="sunsetType"]:checked').value;
             const customSunsetDays = sunsetType === 'custom'
                 ? parseInt(document.getElementById('customSunsetDays').value, 10)
@@ -1036,6 +1996,12 @@ class PersonalRulesApp {
                 return;
             }
 
+            const { schedule, error: scheduleError } = this.readScheduleFields();
+            if (scheduleError) {
+                this.showError(scheduleError);
+                return;
+            }
+
             // Handle success metrics based on type
             let successMetrics = null;
             let successMetricsSource = 'none';
@@ -1059,31 +2025,17 @@ class PersonalRulesApp {
             }
 
             // Create system if it doesn't exist
-            const existingSystem = await this.db.getSystem(system);
-            if (!existingSystem) {
-                const nextId = await this.db.getNextSystemId();
-                await this.db.createSystem({
-                    name: system,
-                    systemId: nextId,
-                    successMetrics: null,
-                    createdAt: new Date().toISOString(),
-                    updatedAt: new Date().toISOString()
-                });
-            }
+            const { systemId } = await this.ensureSystem(system);
 
             // Generate rule ID
-            const currentYear = new Date().getFullYear();
-            const baseRulesThisYear = this.rules.filter(r => 
-                r.id.startsWith(`PR${currentYear}`) && r.amendmentNumber === 0
-            );
-            const nextNumber = baseRulesThisYear.length + 1;
-            const ruleId = `PR${currentYear}-${String(nextNumber).padStart(2, '0')}`;
+            const ruleId = await this.getNextRuleId();
 
             // Create rule object
             const rule = {
                 id: ruleId,
                 title,
                 system,
+                systemId,
                 status: 'proposed',
                 passedDate: null,
                 effectiveDate: null,
@@ -1095,7 +2047,9 @@ class PersonalRulesApp {
                 successMetricsSource, // 'none', 'system', or 'custom'
                 sunsetType,           // 'default', 'indefinite', or 'custom'
                 customSunsetDays,     // number | null
+                schedule,             // null = applies every day
                 body,
+                markdown,             // render clause, metrics and body as Markdown
                 isArchived: false,
                 baseRuleId: null,
                 amendmentNumber: 0,
@@ -1104,6 +2058,7 @@ class PersonalRulesApp {
             };
 
             await this.db.createRule(rule);
+            await this.logRuleEvent('created', null, rule);
             await this.loadRules();
             
             this.showSuccess(`Rule "${title}" created successfully!`);
@@ -1114,6 +2069,33 @@ class PersonalRulesApp {
         }
     }
 
+    /**
+     * Create a system with the next system ID if it doesn't exist yet
+     */
+    async ensureSystem(systemName) {
+        const existingSystem = await this.db.getSystem(systemName);
+        if (existingSystem) {
+            return existingSystem;
+        }
+
+        const nextId = await this.db.getNextSystemId();
+        return this.db.createSystem({
+            name: systemName,
+            systemId: nextId,
+            successMetrics: null,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Reserve the next base rule ID for the current year (PR[YEAR]-[NUMBER])
+     * Numbers come from a persistent counter, so deleted rules' IDs are never reused
+     */
+    async getNextRuleId() {
+        return this.db.allocateRuleId(new Date().getFullYear());
+    }
+
     /**
      * Render archives view
      */
@@ -1121,8 +2103,10 @@ class PersonalRulesApp {
         const archivedRules = this.rules.filter(r => r.isArchived);
         const expiredRules = archivedRules.filter(r => r.status === 'expired');
         const rejectedRules = archivedRules.filter(r => r.status === 'rejected');
+        const supersededRules = archivedRules.filter(r => r.status === 'superseded');
+        const readyRules = this.rules.filter(r => this.canArchive(r));
 
-        if (archivedRules.length === 0) {
+        if (archivedRules.length === 0 && readyRules.length === 0) {
             return `
                 <div class="empty-state">
                     <div class="empty-state-icon">📦</div>
@@ -1132,6 +2116,13 @@ class PersonalRulesApp {
         }
 
         return `
+            ${readyRules.length > 0 ? `
+                <div class="section">
+                    <div class="section-title">Ready to Archive</div>
+                    ${readyRules.map(rule => this.renderArchiveCard(rule)).join('')}
+                </div>
+            ` : ''}
+
             ${expiredRules.length > 0 ? `
                 <div class="section">
                     <div class="section-title">Expired Rules</div>
@@ -1145,6 +2136,13 @@ class PersonalRulesApp {
                     ${rejectedRules.map(rule => this.renderArchiveCard(rule)).join('')}
                 </div>
             ` : ''}
+
+            ${supersededRules.length > 0 ? `
+                <div class="section">
+                    <div class="section-title">Superseded Rules</div>
+                    ${supersededRules.map(rule => this.renderArchiveCard(rule)).join('')}
+                </div>
+            ` : ''}
         `;
     }
 
@@ -1153,17 +2151,21 @@ class PersonalRulesApp {
      */
     renderArchiveCard(rule) {
         return `
-            <div class="rule-card">
+            <div class="rule-card" data-id="${this.escapeHtml(rule.id)}">
                 <div class="rule-header">
-                    <div class="rule-id">${rule.id}</div>
+                    <div class="rule-id">${this.escapeHtml(rule.id)}</div>
                     <div class="rule-status status-${rule.status}">${this.formatStatus(rule.status)}</div>
                 </div>
-                <div class="rule-title">${rule.title}</div>
-                <div class="rule-meta"><strong>System:</strong> ${rule.system}</div>
-                <div class="rule-meta"><strong>${rule.status === 'expired' ? 'Expired' : 'Rejected'}:</strong> ${this.formatDate(new Date(rule.updatedAt))}</div>
+                <div class="rule-title">${this.escapeHtml(rule.title)}</div>
+                <div class="rule-meta"><strong>System:</strong> ${this.escapeHtml(rule.system)}</div>
+                <div class="rule-meta"><strong>${this.formatStatus(rule.status)}:</strong> ${this.formatDate(this.getStatusDate(rule))}</div>
+                ${rule.evaluation ? `<div class="rule-meta"><strong>Verdict:</strong> <span class="verdict verdict-${this.escapeHtml(rule.evaluation.verdict)}">${this.escapeHtml(this.formatVerdict(rule.evaluation.verdict))}</span></div>` : ''}
                 <div class="action-buttons">
-                    <button class="btn btn-secondary btn-small" data-action="unarchive" data-id="${rule.id}">Unarchive</button>
-                    <button class="btn btn-danger btn-small" data-action="delete" data-id="${rule.id}">Delete</button>
+                    ${this.canRenew(rule) ? `<button class="btn btn-success btn-small" data-action="renew" data-id="${this.escapeHtml(rule.id)}">Renew</button>` : ''}
+                    ${rule.isArchived
+                        ? `<button class="btn btn-secondary btn-small" data-action="unarchive" data-id="${this.escapeHtml(rule.id)}">Unarchive</button>`
+                        : `<button class="btn btn-secondary btn-small" data-action="archive" data-id="${this.escapeHtml(rule.id)}">Archive</button>`}
+                    <button class="btn btn-danger btn-small" data-action="delete" data-id="${this.escapeHtml(rule.id)}">Delete</button>
                 </div>
             </div>
         `;
@@ -1173,6 +2175,22 @@ class PersonalRulesApp {
      * Attach archive listeners
      */
     attachArchiveListeners() {
+        // Renew buttons
+        document.querySelectorAll('[data-action="renew"]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const ruleId = e.target.dataset.id;
+                await this.renewRule(ruleId);
+            });
+        });
+
+        // Archive buttons (rules ready to archive)
+        document.querySelectorAll('[data-action="archive"]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const ruleId = e.target.dataset.id;
+                await this.archiveRule(ruleId);
+            });
+        });
+
         // Unarchive buttons
         document.querySelectorAll('[data-action="unarchive"]').forEach(btn => {
             btn.addEventListener('click', async (e) => {
@@ -1181,13 +2199,11 @@ class PersonalRulesApp {
             });
         });
 
-        // Delete buttons
+        // Delete buttons (to the trash, with undo)
         document.querySelectorAll('[data-action="delete"]').forEach(btn => {
             btn.addEventListener('click', async (e) => {
                 const ruleId = e.target.dataset.id;
-                if (confirm('Are you sure you want to permanently delete this rule? This cannot be undone.')) {
-                    await this.deleteRule(ruleId);
-                }
+                await this.deleteRule(ruleId);
             });
         });
     }
@@ -1197,14 +2213,18 @@ class PersonalRulesApp {
      */
     async unarchiveRule(ruleId) {
         try {
+            const snapshot = this.takeSnapshot();
             const rule = this.rules.find(r => r.id === ruleId);
             if (!rule) return;
 
+            const before = { ...rule };
             rule.isArchived = false;
             rule.updatedAt = new Date().toISOString();
 
             await this.db.updateRule(rule);
+            await this.logRuleEvent('unarchived', before, rule);
             await this.loadRules();
+            this.recordHistory(`Unarchive ${rule.id}`, snapshot);
             
             this.showSuccess(`Rule "${rule.title}" has been unarchived.`);
             this.renderView(this.currentView);
@@ -1215,256 +2235,1565 @@ class PersonalRulesApp {
     }
 
     /**
-     * Delete a rule permanently
+     * Move a rule and its amendments to the trash
      */
     async deleteRule(ruleId) {
-        try {
-            const rule = this.rules.find(r => r.id === ruleId);
-            if (!rule) return;
-
-            await this.db.deleteRule(ruleId);
-            await this.loadRules();
-            
-            this.showSuccess(`Rule "${rule.title}" has been permanently deleted.`);
-            this.renderView(this.currentView);
-        } catch (error) {
-            console.error('Failed to delete rule:', error);
-            this.showError('Failed to delete rule. Please try again.');
-        }
+        await this.runBatch('delete', [ruleId]);
     }
 
+    // ============================================
+    // SCHEDULES
+    // ============================================
+
     /**
-     * Render Dev Tools view
+     * Render the optional schedule fields shared by the rule form and the amendment dialog
+     * @param {Object} schedule - Current schedule, or null
      */
-    async renderDevTools() {
-        const orphaned = this.systems.filter(s => !s.systemId);
-        const nextId = await this.db.getNextSystemId();
-
-        // Build a preview of what IDs will be assigned
-        let previewRows = '';
-        orphaned.forEach((sys, i) => {
-            previewRows += `
-                <div class="rule-card" style="display: flex; align-items: center; justify-content: space-between; padding: 12px 16px; margin-bottom: 8px;">
-                    <div>
-                        <div class="rule-title" style="margin-bottom: 2px;">${sys.name}</div>
-                        <div class="rule-meta">Currently: <span style="color: #ef4444;">System ?</span></div>
-                    </div>
-                    <div class="rule-meta" style="color: #6ee7b7; font-weight: 600;">→ System ${nextId + i}</div>
-                </div>
-            `;
-        });
+    renderScheduleFields(schedule = null) {
+        const type = schedule ? schedule.type : 'none';
+        const weekdays = (schedule && schedule.weekdays) || [];
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const types = {
+            none: 'No Schedule',
+            daily: 'Every Day',
+            weekdays: 'Specific Weekdays',
+            interval: 'Every N Days',
+            monthly: 'Monthly on a Day'
+        };
 
         return `
-            <div class="section">
-                <div class="section-title">Dev Tools</div>
-                <div class="rule-card" style="border-color: #333; margin-bottom: 24px;">
-                    <div class="rule-title" style="color: #fcd34d; margin-bottom: 6px;">⚠ Patch: Orphaned System IDs</div>
-                    <div class="rule-meta" style="margin-bottom: 0;">
-                        Systems created before the System ID feature was added have no ID assigned.
-                        This tool assigns the next available IDs to each one.
-                    </div>
-                </div>
+            <div class="form-group">
+                <label class="form-label">Schedule</label>
+                <select class="form-select" id="scheduleType">
+                    ${Object.entries(types).map(([value, label]) => `<option value="${value}" ${type === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <div class="form-help">Days the rule applies on, for the Today tab. Rules without a schedule apply every day</div>
             </div>
 
-            ${orphaned.length > 0 ? `
-                <div class="section">
-                    <div class="section-title">Systems Missing an ID (${orphaned.length})</div>
-                    ${previewRows}
-                    <button class="btn btn-primary" data-action="patch-system-ids">Assign IDs Now</button>
-                </div>
-            ` : `
-                <div class="empty-state">
-                    <div class="empty-state-icon">✓</div>
-                    <p class="empty-state-text">All systems have IDs assigned. No patch needed.</p>
+            <div class="form-group" id="scheduleWeekdaysGroup" style="${type === 'weekdays' ? '' : 'display: none;'}">
+                <div class="form-radio">
+                    ${dayNames.map((name, day) => `
+                        <label>
+                            <input type="checkbox" name="scheduleWeekday" value="${day}" ${weekdays.includes(day) ? 'checked' : ''}>
+                            ${name}
+                        </label>
+                    `).join('')}
                 </div>
-            `}
+            </div>
+
+            <div class="form-group" id="scheduleIntervalGroup" style="${type === 'interval' ? '' : 'display: none;'}">
+                <label class="form-label">Every (Days)</label>
+                <input type="number" class="form-input" id="scheduleEvery" min="1" max="365" value="${schedule && schedule.every ? schedule.every : 2}">
+                <label class="form-label" style="margin-top: 8px;">Starting</label>
+                <input type="date" class="form-input" id="scheduleStartDate" value="${schedule && schedule.startDate ? schedule.startDate : ''}">
+                <div class="form-help">Leave empty to count from the effective date</div>
+            </div>
+
+            <div class="form-group" id="scheduleMonthlyGroup" style="${type === 'monthly' ? '' : 'display: none;'}">
+                <label class="form-label">Day of Month</label>
+                <input type="number" class="form-input" id="scheduleDayOfMonth" min="1" max="31" value="${schedule && schedule.dayOfMonth ? schedule.dayOfMonth : 1}">
+                <div class="form-help">In shorter months, days past the end fall on the last day</div>
+            </div>
+
+            <div class="form-group" id="scheduleTimeGroup" style="${type === 'none' ? 'display: none;' : ''}">
+                <label class="form-label">Time of Day</label>
+                <input type="time" class="form-input" id="scheduleTime" value="${schedule && schedule.time ? schedule.time : ''}">
+                <div class="form-help">Optional; orders the Today tab</div>
+            </div>
         `;
     }
 
     /**
-     * Attach Dev Tools listeners
+     * Show the schedule fields that apply to the chosen schedule type
      */
-    attachDevToolsListeners() {
-        const patchBtn = document.querySelector('[data-action="patch-system-ids"]');
-        if (patchBtn) {
-            patchBtn.addEventListener('click', async () => {
-                await this.patchOrphanedSystemIds();
-            });
-        }
+    attachScheduleListeners() {
+        const typeSelect = document.getElementById('scheduleType');
+        typeSelect.addEventListener('change', () => {
+            const type = typeSelect.value;
+            document.getElementById('scheduleWeekdaysGroup').style.display = type === 'weekdays' ? 'block' : 'none';
+            document.getElementById('scheduleIntervalGroup').style.display = type === 'interval' ? 'block' : 'none';
+            document.getElementById('scheduleMonthlyGroup').style.display = type === 'monthly' ? 'block' : 'none';
+            document.getElementById('scheduleTimeGroup').style.display = type === 'none' ? 'none' : 'block';
+        });
     }
 
     /**
-     * Assign sequential IDs to any systems that are missing one
+     * Read the schedule fields
+     * @returns {Object} { schedule } with null for no schedule, or { error } when incomplete
      */
-    async patchOrphanedSystemIds() {
-        try {
-            const orphaned = this.systems.filter(s => !s.systemId);
-            if (orphaned.length === 0) {
-                this.showSuccess('Nothing to patch — all systems already have IDs.');
-                return;
+    readScheduleFields() {
+        const type = document.getElementById('scheduleType').value;
+        if (type === 'none') return { schedule: null };
+
+        const schedule = { type, time: document.getElementById('scheduleTime').value || null };
+
+        if (type === 'weekdays') {
+            schedule.weekdays = [...document.querySelectorAll('input[name="scheduleWeekday"]:checked')]
+                .map(input => parseInt(input.value, 10));
+            if (schedule.weekdays.length === 0) {
+                return { error: 'Please pick at least one weekday for the schedule.' };
+            }
+        } else if (type === 'interval') {
+            schedule.every = parseInt(document.getElementById('scheduleEvery').value, 10);
+            schedule.startDate = document.getElementById('scheduleStartDate').value || null;
+            if (!schedule.every || schedule.every < 1) {
+                return { error: 'Please enter how many days apart the rule applies (minimum 1).' };
             }
+        } else if (type === 'monthly') {
+            schedule.dayOfMonth = parseInt(document.getElementById('scheduleDayOfMonth').value, 10);
+            if (!schedule.dayOfMonth || schedule.dayOfMonth < 1 || schedule.dayOfMonth > 31) {
+                return { error: 'Please enter a day of the month between 1 and 31.' };
+            }
+        }
 
-            let nextId = await this.db.getNextSystemId();
+        return { schedule };
+    }
 
-            for (const sys of orphaned) {
-                sys.systemId = nextId;
-                sys.updatedAt = new Date().toISOString();
-                await this.db.updateSystem(sys);
-                nextId++;
+    /**
+     * Whether a rule applies on a given day; rules without a schedule apply every day
+     */
+    isScheduledOn(rule, date) {
+        const schedule = rule.schedule;
+        if (!schedule) return true;
+
+        switch (schedule.type) {
+            case 'weekdays':
+                return schedule.weekdays.includes(date.getDay());
+            case 'interval': {
+                const start = schedule.startDate || (rule.effectiveDate ? this.toDateKey(new Date(rule.effectiveDate)) : null);
+                if (!start) return true;
+                const days = Math.round((this.fromDateKey(this.toDateKey(date)) - this.fromDateKey(start)) / (1000 * 60 * 60 * 24));
+                return days >= 0 && days % schedule.every === 0;
+            }
+            case 'monthly': {
+                const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+                return date.getDate() === Math.min(schedule.dayOfMonth, lastDay);
             }
+            default:
+                return true;
+        }
+    }
 
-            await this.loadRules();
-            this.showSuccess(`Patched ${orphaned.length} system${orphaned.length === 1 ? '' : 's'} with new IDs.`);
-            // Re-render the view so the empty state shows up immediately
-            this.renderView('devtools');
-        } catch (error) {
-            console.error('Failed to patch system IDs:', error);
-            this.showError('Patch failed. Please try again.');
+    /**
+     * Describe a schedule, e.g. "Mon, Wed, Fri at 07:30"
+     */
+    formatSchedule(schedule) {
+        if (!schedule) return 'Every day (no schedule)';
+
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        let text;
+        switch (schedule.type) {
+            case 'weekdays':
+                text = [...schedule.weekdays].sort().map(day => dayNames[day]).join(', ');
+                break;
+            case 'interval':
+                text = `Every ${schedule.every} days${schedule.startDate ? ` from ${this.formatDate(this.fromDateKey(schedule.startDate))}` : ''}`;
+                break;
+            case 'monthly':
+                text = `Monthly on day ${schedule.dayOfMonth}`;
+                break;
+            default:
+                text = 'Every day';
         }
+        return schedule.time ? `${text} at ${schedule.time}` : text;
     }
 
     /**
-     * Show rule detail view
+     * Active rules that apply on a day, timed ones first in time order
      */
-    showRuleDetail(ruleId) {
-        const rule = this.rules.find(r => r.id === ruleId);
-        if (!rule) return;
+    getRulesDueOn(date = new Date()) {
+        return this.rules
+            .filter(r => r.status === 'active' && !r.isArchived && this.isScheduledOn(r, date))
+            .sort((a, b) => {
+                const timeA = (a.schedule && a.schedule.time) || '99:99';
+                const timeB = (b.schedule && b.schedule.time) || '99:99';
+                return timeA.localeCompare(timeB) || a.id.localeCompare(b.id);
+            });
+    }
 
-        const container = document.getElementById('app-container');
-        container.innerHTML = `
-            <div class="rule-header" style="margin-bottom: 16px;">
-                <div class="rule-id" style="font-size: 13px;">${rule.id}</div>
-                <div class="rule-status status-${rule.status}">${this.formatStatus(rule.status)}</div>
-            </div>
+    /**
+     * Render the Today view: rules that apply today, grouped by system
+     */
+    renderToday() {
+        const today = new Date();
+        const todayKey = this.toDateKey(today);
+        const dueRules = this.getRulesDueOn(today);
 
-            <h2 style="font-size: 20px; margin-bottom: 24px; color: #fff;">${rule.title}</h2>
+        if (dueRules.length === 0) {
+            return `
+                <div class="empty-state">
+                    <div class="empty-state-icon">☀️</div>
+                    <p class="empty-state-text">No active rules apply today.</p>
+                </div>
+            `;
+        }
 
-            <div class="detail-section">
-                <div class="detail-label">System</div>
-                <div class="detail-value">${rule.system}</div>
-            </div>
+        const checkedIn = dueRules.filter(r => this.getCheckin(r.id, todayKey)).length;
+        // Systems in the order of their first rule of the day
+        const systems = [...new Set(dueRules.map(r => r.system))];
 
-            ${rule.passedDate ? `
-                <div class="detail-section">
-                    <div class="detail-label">Status Timeline</div>
-                    <div class="detail-value">
-                        <div style="font-size: 13px; color: #888; margin-bottom: 4px;">Created: ${this.formatDate(new Date(rule.createdAt))}</div>
-                        ${rule.passedDate ? `<div style="font-size: 13px; color: #888; margin-bottom: 4px;">Passed: ${this.formatDate(new Date(rule.passedDate))}</div>` : ''}
-                        ${rule.effectiveDate ? `<div style="font-size: 13px; color: #888; margin-bottom: 4px;">Effective: ${this.formatDate(new Date(rule.effectiveDate))}</div>` : ''}
-                        <div style="font-size: 13px; color: #888;">Expires: ${rule.expirationDate ? this.formatDate(new Date(rule.expirationDate)) : 'Indefinite'}</div>
-                    </div>
+        return `
+            <div class="section-title">${today.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}</div>
+            <div class="rule-meta" style="margin-bottom: 16px;">${checkedIn} of ${dueRules.length} checked in</div>
+            ${systems.map(system => `
+                <div class="system-group">
+                    <div class="system-header">${this.escapeHtml(system)}</div>
+                    ${dueRules.filter(r => r.system === system).map(rule => this.renderRuleCard(rule)).join('')}
                 </div>
-            ` : ''}
+            `).join('')}
+        `;
+    }
 
-            <div class="detail-section">
-                <div class="detail-label">Sunset Clause</div>
-                <div class="detail-value" style="font-size: 14px;">
-                    ${rule.sunsetType === 'indefinite' ? 'Indefinite — this rule does not expire automatically.'
-                      : rule.sunsetType === 'custom' && rule.customSunsetDays ? `Custom — ${rule.customSunsetDays} days after effective date.`
-                      : 'Default — 30 days after effective date.'}
-                </div>
-            </div>
+    // ============================================
+    // RELATIONS
+    // ============================================
 
-            <div class="detail-section">
-                <div class="detail-label">${rule.clauseType === 'purpose' ? 'Purpose Clause' : 'Hypothesis Clause'}</div>
-                <div class="detail-clause">${rule.clauseText}</div>
-            </div>
+    /**
+     * Labels for rule links, as seen from the rule that holds the link and from the linked rule
+     */
+    getRelationLabels() {
+        return {
+            requires: { outgoing: 'Requires', incoming: 'Required by' },
+            conflicts: { outgoing: 'Conflicts with', incoming: 'Conflicts with' },
+            replaces: { outgoing: 'Replaces', incoming: 'Replaced by' }
+        };
+    }
 
-            ${rule.successMetrics ? `
-                <div class="detail-section">
-                    <div class="detail-label">Success Metrics ${rule.successMetricsSource === 'system' ? '(From System)' : rule.successMetricsSource === 'custom' ? '(Custom)' : ''}</div>
-                    <div class="detail-clause">${rule.successMetrics}</div>
-                </div>
-            ` : ''}
+    /**
+     * Links a rule holds, optionally of one type
+     */
+    getRelations(rule, type = null) {
+        return (rule.relations || []).filter(rel => !type || rel.type === type);
+    }
 
-            ${rule.body ? `
-                <div class="detail-section">
-                    <div class="detail-label">Body</div>
-                    <div class="detail-value" style="font-size: 14px; line-height: 1.6;">${rule.body}</div>
-                </div>
-            ` : ''}
+    /**
+     * Every link touching a rule: its own, plus other rules' links to any version of it
+     * @returns {Array<Object>} { type, ruleId, outgoing }
+     */
+    getRuleLinks(rule) {
+        const chainIds = this.getAmendmentChain(rule).map(r => r.id);
+        const outgoing = this.getRelations(rule).map(rel => ({ ...rel, outgoing: true }));
+        const incoming = this.rules
+            .filter(other => !chainIds.includes(other.id))
+            .flatMap(other => this.getRelations(other)
+                .filter(rel => chainIds.includes(rel.ruleId))
+                .map(rel => ({ type: rel.type, ruleId: other.id, outgoing: false })));
+
+        return [...outgoing, ...incoming];
+    }
 
-            <div class="action-buttons">
-                <button class="btn btn-secondary btn-small" data-action="back">Back</button>
-                ${rule.status === 'proposed' ? `<button class="btn btn-primary btn-small" data-action="edit-proposed">Edit</button>` : ''}
-                ${rule.status === 'active' ? `<button class="btn btn-secondary btn-small" data-action="create-amendment">Create Amendment</button>` : ''}
-                ${rule.status === 'rejected' || rule.status === 'expired' ? `<button class="btn btn-secondary btn-small" data-action="archive">Archive</button>` : ''}
-            </div>
-        `;
+    /**
+     * The active version of a linked rule, or null
+     * @param {string} ruleId - Any version of the linked rule
+     * @param {Array<string>} alsoActive - Rules to treat as active (e.g. being passed together)
+     */
+    getActiveVersion(ruleId, alsoActive = []) {
+        const target = this.rules.find(r => r.id === ruleId);
+        if (!target) return null;
+        return this.getAmendmentChain(target)
+            .filter(r => r.status === 'active' || alsoActive.includes(r.id))
+            .pop() || null;
+    }
 
-        // Attach listeners
-        const backBtn = container.querySelector('[data-action="back"]');
-        if (backBtn) {
-            backBtn.addEventListener('click', () => {
-                this.renderView(this.currentView);
-            });
-        }
+    /**
+     * Problems with a rule's links if it is (or were) in force
+     * Prerequisites that aren't active, and active rules it conflicts with.
+     * @param {Object} rule - The rule
+     * @param {Array<string>} alsoActive - Rules to treat as active (e.g. being passed together)
+     * @returns {Array<string>} One message per problem
+     */
+    getRelationWarnings(rule, alsoActive = []) {
+        const warnings = [];
 
-        const editProposedBtn = container.querySelector('[data-action="edit-proposed"]');
-        if (editProposedBtn) {
-            editProposedBtn.addEventListener('click', () => {
-                this.showEditProposedForm(ruleId);
-            });
+        for (const rel of this.getRelations(rule, 'requires')) {
+            if (!this.getActiveVersion(rel.ruleId, alsoActive)) {
+                warnings.push(`Requires ${rel.ruleId}, which is not active.`);
+            }
         }
 
-        const amendmentBtn = container.querySelector('[data-action="create-amendment"]');
-        if (amendmentBtn) {
-            amendmentBtn.addEventListener('click', () => {
-                this.showAmendmentDialog(ruleId);
-            });
+        const conflicting = new Set();
+        for (const link of this.getRuleLinks(rule).filter(l => l.type === 'conflicts')) {
+            const active = this.getActiveVersion(link.ruleId, alsoActive);
+            if (active && active.id !== rule.id) conflicting.add(active);
         }
-
-        const archiveBtn = container.querySelector('[data-action="archive"]');
-        if (archiveBtn) {
-            archiveBtn.addEventListener('click', async () => {
-                await this.archiveRule(ruleId);
-            });
+        for (const other of conflicting) {
+            warnings.push(`Conflicts with active rule ${other.id} ("${other.title}").`);
         }
+
+        return warnings;
     }
 
     /**
-     * Show edit form for a proposed rule
+     * Rules that lose a prerequisite when the given rules expire
+     * @param {Array<string>} expiredIds - Rules that just expired
+     * @returns {Array<Object>} { rule, prerequisiteId }
      */
-    showEditProposedForm(ruleId) {
-        const rule = this.rules.find(r => r.id === ruleId);
-        if (!rule) return;
-
-        // Render the create form pre-filled with this rule's data, in edit mode
-        const container = document.getElementById('app-container');
-        container.innerHTML = this.renderCreateForm(rule);
-        this.attachEditProposedListeners(rule);
+    getLapsedDependents(expiredIds) {
+        const lapsed = [];
+        for (const expiredId of expiredIds) {
+            if (this.getActiveVersion(expiredId)) continue; // another version is still in force
+
+            const expired = this.rules.find(r => r.id === expiredId);
+            const chainIds = expired ? this.getAmendmentChain(expired).map(r => r.id) : [expiredId];
+            this.rules
+                .filter(r => r.status === 'active' || r.status === 'passed')
+                .filter(r => this.getRelations(r, 'requires').some(rel => chainIds.includes(rel.ruleId)))
+                .forEach(rule => lapsed.push({ rule, prerequisiteId: expiredId }));
+        }
+        return lapsed;
     }
 
     /**
-     * Attach listeners for the edit-proposed form
+     * Show dialog for linking a rule to another
      */
-    attachEditProposedListeners(rule) {
-        const form = document.getElementById('ruleForm');
-        const systemSelect = document.getElementById('systemSelect');
-        const systemInput = document.getElementById('systemInput');
+    showRelationDialog(ruleId) {
+        const rule = this.rules.find(r => r.id === ruleId);
+        if (!rule) return;
 
-        // System selector logic (same as create)
-        systemSelect.addEventListener('change', async (e) => {
-            if (e.target.value === '__new__') {
-                systemInput.style.display = 'block';
-                systemInput.required = true;
-                systemSelect.required = false;
-                systemInput.focus();
-            } else {
-                systemInput.style.display = 'none';
-                systemInput.required = false;
-                systemSelect.required = true;
-                await this.updateSystemMetricsPreview(e.target.value);
-            }
-        });
+        const chainIds = this.getAmendmentChain(rule).map(r => r.id);
+        const candidates = this.rules
+            .filter(r => !chainIds.includes(r.id))
+            .sort((a, b) => a.id.localeCompare(b.id));
+        const labels = this.getRelationLabels();
 
-        // Success metrics type toggle
-        const metricsTypeRadios = form.querySelectorAll('input[name="successMetricsType"]');
-        metricsTypeRadios.forEach(radio => {
-            radio.addEventListener('change', async (e) => {
-                const customGroup = document.getElementById('customMetricsGroup');
-                const systemPreview = document.getElementById('systemMetricsPreview');
-                if (e.target.value === 'custom') {
+        if (candidates.length === 0) {
+            alert('There are no other rules to link to.');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Link ${this.escapeHtml(rule.id)}</h3>
+                <form id="relationForm">
+                    <div class="form-group">
+                        <label class="form-label">This rule...</label>
+                        <select class="form-select" id="relationType">
+                            ${Object.entries(labels).map(([type, label]) => `<option value="${type}">${label.outgoing}</option>`).join('')}
+                        </select>
+                        <div class="form-help">Passing a rule warns about conflicts and inactive prerequisites. A rule that replaces another supersedes it when it takes effect.</div>
+                    </div>
+
+                    <div class="form-group">
+                        <label class="form-label">Rule *</label>
+                        <select class="form-select" id="relationTarget">
+                            ${candidates.map(r => `<option value="${this.escapeHtml(r.id)}">${this.escapeHtml(r.id)} — ${this.escapeHtml(r.title)} (${this.formatStatus(r.status)})</option>`).join('')}
+                        </select>
+                    </div>
+
+                    <div class="action-buttons">
+                        <button type="submit" class="btn btn-primary">Link Rule</button>
+                        <button type="button" class="btn btn-secondary" id="cancelRelation">Cancel</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('relationForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const type = document.getElementById('relationType').value;
+            const targetId = document.getElementById('relationTarget').value;
+
+            if (this.getRelations(rule).some(rel => rel.type === type && rel.ruleId === targetId)) {
+                alert(`${rule.id} already ${labels[type].outgoing.toLowerCase()} ${targetId}`);
+                return;
+            }
+
+            document.body.removeChild(modal);
+            await this.saveRelations(ruleId, [...this.getRelations(rule), { type, ruleId: targetId }], `Link ${rule.id} to ${targetId}`);
+        });
+
+        document.getElementById('cancelRelation').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+    }
+
+    /**
+     * Replace the links a rule holds
+     */
+    async saveRelations(ruleId, relations, label) {
+        try {
+            const snapshot = this.takeSnapshot();
+            const rule = this.rules.find(r => r.id === ruleId);
+            if (!rule) return;
+
+            const before = { ...rule };
+            rule.relations = relations;
+            rule.updatedAt = new Date().toISOString();
+
+            await this.db.updateRule(rule);
+            await this.logRuleEvent('edited', before, rule);
+            await this.loadRules();
+            this.recordHistory(label, snapshot);
+
+            this.showSuccess(`Links of ${ruleId} updated.`);
+            this.showRuleDetail(ruleId);
+        } catch (error) {
+            console.error('Failed to save links:', error);
+            this.showError('Failed to save links. Please try again.');
+        }
+    }
+
+    // ============================================
+    // TEMPLATES
+    // ============================================
+
+    /**
+     * Placeholder names used in a template's text, in order of first use
+     * Placeholders are written as {name}, e.g. {day} or {count}
+     */
+    getTemplatePlaceholders(template) {
+        const text = [template.title, template.clauseText, template.successMetrics, template.body].join('\n');
+        return [...new Set([...text.matchAll(/\{([a-zA-Z_]\w*)\}/g)].map(match => match[1]))];
+    }
+
+    /**
+     * Build create-form data from a template, filling in its placeholders
+     * @param {Object} template - The template
+     * @param {Object} values - Placeholder name → value; unknown placeholders are left as written
+     */
+    fillTemplate(template, values = {}) {
+        const fill = (text) => (text || '').replace(/\{([a-zA-Z_]\w*)\}/g, (match, name) => values[name] ?? match);
+        // Follow the system if it was renamed since the template was saved
+        const system = this.systems.find(s => template.systemId && s.systemId === template.systemId);
+
+        return {
+            templateName: template.name,
+            title: fill(template.title),
+            system: system ? system.name : (template.system || ''),
+            clauseType: template.clauseType || 'purpose',
+            clauseText: fill(template.clauseText),
+            successMetricsType: template.successMetricsSource || 'none',
+            successMetrics: fill(template.successMetrics),
+            body: fill(template.body),
+            markdown: !!template.markdown,
+            sunsetType: template.sunsetType || 'default',
+            customSunsetDays: template.customSunsetDays ?? null,
+            schedule: template.schedule ?? null
+        };
+    }
+
+    /**
+     * Fill the create form from a template, asking for placeholder values first
+     * @param {string} name - Template name; empty for a blank form
+     */
+    startFromTemplate(name) {
+        const template = this.templates.find(t => t.name === name);
+        const showDraft = (draft) => {
+            document.getElementById('app-container').innerHTML = this.renderCreateForm(null, draft);
+            this.attachCreateFormListeners();
+        };
+
+        if (!template) {
+            showDraft(null);
+            return;
+        }
+
+        const placeholders = this.getTemplatePlaceholders(template);
+        if (placeholders.length === 0) {
+            showDraft(this.fillTemplate(template));
+            return;
+        }
+
+        // Suggestions for common placeholders
+        const today = new Date();
+        const suggestions = {
+            day: today.toLocaleDateString('en-US', { weekday: 'long' }),
+            date: this.formatDate(today)
+        };
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Start from "${this.escapeHtml(template.name)}"</h3>
+                <form id="placeholderForm">
+                    ${placeholders.map(placeholder => `
+                        <div class="form-group">
+                            <label class="form-label">{${this.escapeHtml(placeholder)}} *</label>
+                            <input type="text" class="form-input" data-placeholder="${this.escapeHtml(placeholder)}" value="${this.escapeHtml(suggestions[placeholder] || '')}" required>
+                        </div>
+                    `).join('')}
+
+                    <div class="action-buttons">
+                        <button type="submit" class="btn btn-primary">Fill In</button>
+                        <button type="button" class="btn btn-secondary" id="cancelPlaceholders">Cancel</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('placeholderForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const values = {};
+            for (const input of modal.querySelectorAll('[data-placeholder]')) {
+                if (!input.value.trim()) {
+                    alert(`Please fill in {${input.dataset.placeholder}}`);
+                    return;
+                }
+                values[input.dataset.placeholder] = input.value.trim();
+            }
+
+            document.body.removeChild(modal);
+            showDraft(this.fillTemplate(template, values));
+        });
+
+        document.getElementById('cancelPlaceholders').addEventListener('click', () => {
+            document.body.removeChild(modal);
+            document.getElementById('templateSelect').value = '';
+        });
+    }
+
+    /**
+     * Show dialog for saving a rule as a template
+     * The text can be edited first, e.g. to replace "Sunday" with {day}
+     */
+    showSaveTemplateDialog(ruleId) {
+        const rule = this.rules.find(r => r.id === ruleId);
+        if (!rule) return;
+
+        const customMetrics = rule.successMetricsSource === 'custom';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Save as Template</h3>
+                <form id="templateForm">
+                    <div class="form-group">
+                        <label class="form-label">Template Name *</label>
+                        <input type="text" class="form-input" id="templateName" value="${this.escapeHtml(rule.title)}" required>
+                        <div class="form-help">Saving under an existing name replaces that template.</div>
+                    </div>
+
+                    <div class="form-group">
+                        <label class="form-label">Title *</label>
+                        <input type="text" class="form-input" id="templateTitle" value="${this.escapeHtml(rule.title)}" required>
+                        <div class="form-help">Write {day}, {count} or any other {name} where a value should be filled in when a rule is created from the template.</div>
+                    </div>
+
+                    <div class="form-group">
+                        <label class="form-label">Purpose/Hypothesis Clause</label>
+                        <textarea class="form-textarea" id="templateClauseText">${this.escapeHtml(rule.clauseText)}</textarea>
+                    </div>
+
+                    ${customMetrics ? `
+                        <div class="form-group">
+                            <label class="form-label">Custom Success Metrics</label>
+                            <textarea class="form-textarea" id="templateSuccessMetrics">${this.escapeHtml(rule.successMetrics || '')}</textarea>
+                        </div>
+                    ` : ''}
+
+                    <div class="form-group">
+                        <label class="form-label">Body</label>
+                        <textarea class="form-textarea" id="templateBody">${this.escapeHtml(rule.body || '')}</textarea>
+                    </div>
+
+                    <div class="form-help" style="margin-bottom: 16px;">
+                        System (${this.escapeHtml(rule.system)}), clause type, success metrics source, schedule, sunset clause and formatting are copied from ${this.escapeHtml(rule.id)}.
+                    </div>
+
+                    <div class="action-buttons">
+                        <button type="submit" class="btn btn-primary">Save Template</button>
+                        <button type="button" class="btn btn-secondary" id="cancelTemplate">Cancel</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('templateForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const name = document.getElementById('templateName').value.trim();
+            const title = document.getElementById('templateTitle').value.trim();
+            if (!name || !title) {
+                alert('Please enter a template name and title');
+                return;
+            }
+
+            const existing = this.templates.find(t => t.name === name);
+            if (existing && !confirm(`Replace the template "${name}"?`)) {
+                return;
+            }
+
+            const template = {
+                name,
+                title,
+                system: rule.system,
+                systemId: rule.systemId,
+                clauseType: rule.clauseType,
+                clauseText: document.getElementById('templateClauseText').value.trim(),
+                successMetricsSource: rule.successMetricsSource || 'none',
+                successMetrics: customMetrics ? document.getElementById('templateSuccessMetrics').value.trim() : null,
+                body: document.getElementById('templateBody').value.trim(),
+                markdown: !!rule.markdown,
+                sunsetType: rule.sunsetType || 'default',
+                customSunsetDays: rule.customSunsetDays ?? null,
+                schedule: rule.schedule ?? null,
+                createdAt: existing ? existing.createdAt : new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+
+            document.body.removeChild(modal);
+            await this.saveTemplate(template);
+        });
+
+        document.getElementById('cancelTemplate').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+    }
+
+    /**
+     * Save a template and reload the template list
+     */
+    async saveTemplate(template) {
+        try {
+            await this.db.saveTemplate(template);
+            this.templates = await this.db.getAllTemplates();
+            this.showSuccess(`Template "${template.name}" saved. Pick it under "Start from template" when creating a rule.`);
+        } catch (error) {
+            console.error('Failed to save template:', error);
+            this.showError('Failed to save template. Please try again.');
+        }
+    }
+
+    /**
+     * Delete a template after confirmation
+     */
+    async deleteTemplate(name) {
+        if (!confirm(`Delete the template "${name}"? Rules created from it are not affected.`)) {
+            return;
+        }
+
+        try {
+            await this.db.deleteTemplate(name);
+            this.templates = await this.db.getAllTemplates();
+            this.showSuccess(`Template "${name}" deleted.`);
+            this.startFromTemplate('');
+        } catch (error) {
+            console.error('Failed to delete template:', error);
+            this.showError('Failed to delete template. Please try again.');
+        }
+    }
+
+    // ============================================
+    // UNDO / REDO
+    // ============================================
+
+    /**
+     * Copy the records undo/redo can put back (the event log is append-only and isn't rewound)
+     */
+    takeSnapshot() {
+        const clone = (records) => JSON.parse(JSON.stringify(records));
+        return {
+            rules: clone(this.rules),
+            systems: clone(this.systems),
+            checkins: clone(this.checkins),
+            trash: clone(this.trash)
+        };
+    }
+
+    /**
+     * Records that differ between two snapshots
+     * @returns {Array} { store, key, before, after } where null means the record didn't exist
+     */
+    diffSnapshots(before, after) {
+        const keyPaths = { rules: 'id', systems: 'name', checkins: 'id', trash: 'id' };
+        const changes = [];
+
+        for (const [store, keyPath] of Object.entries(keyPaths)) {
+            const beforeByKey = new Map(before[store].map(record => [record[keyPath], record]));
+            const afterByKey = new Map(after[store].map(record => [record[keyPath], record]));
+            for (const key of new Set([...beforeByKey.keys(), ...afterByKey.keys()])) {
+                const previous = beforeByKey.get(key) || null;
+                const next = afterByKey.get(key) || null;
+                if (!previous || !next || !this.db.recordsEqual(previous, next)) {
+                    changes.push({ store, key, before: previous, after: next });
+                }
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Add what changed since a snapshot to the undo history
+     * Call after the mutation has saved and loadRules() has run.
+     * @param {string} label - Shown on the toolbar and in toasts, e.g. 'Pass PR2026-04'
+     * @param {Object} snapshot - takeSnapshot() from before the mutation
+     * @returns {Object|null} The recorded command
+     */
+    recordHistory(label, snapshot) {
+        const changes = this.diffSnapshots(snapshot, this.takeSnapshot());
+        if (changes.length === 0) return null;
+
+        const command = { label, changes };
+        this.history.undo.push(command);
+        if (this.history.undo.length > this.historyLimit) {
+            this.history.undo.shift();
+        }
+        this.history.redo = [];
+        this.updateHistoryButtons();
+        return command;
+    }
+
+    /**
+     * Undo the last recorded command
+     * @param {Object} expected - Only undo if this command is still the last one (toast Undo buttons)
+     */
+    async undo(expected = null) {
+        await this.stepHistory('undo', expected);
+    }
+
+    /**
+     * Redo the last undone command
+     */
+    async redo() {
+        await this.stepHistory('redo');
+    }
+
+    /**
+     * Move one command along the history, writing back the exact records it replaced
+     * Refuses when something outside the history changed those records since.
+     */
+    async stepHistory(direction, expected = null) {
+        const from = this.history[direction];
+        const to = this.history[direction === 'undo' ? 'redo' : 'undo'];
+        const command = from[from.length - 1];
+        if (!command) return;
+
+        if (expected && command !== expected) {
+            this.showError('That change was already undone or newer changes were made.');
+            return;
+        }
+
+        const [current, target] = direction === 'undo' ? ['after', 'before'] : ['before', 'after'];
+
+        try {
+            await this.loadRules();
+            const snapshot = this.takeSnapshot();
+            const keyPaths = { rules: 'id', systems: 'name', checkins: 'id', trash: 'id' };
+            const changedSince = command.changes.filter(change => {
+                const record = snapshot[change.store].find(r => r[keyPaths[change.store]] === change.key) || null;
+                return record && change[current]
+                    ? !this.db.recordsEqual(record, change[current])
+                    : record !== change[current];
+            });
+
+            if (changedSince.length > 0) {
+                from.pop();
+                this.updateHistoryButtons();
+                this.showError(`Can't ${direction} "${command.label}": ${changedSince.map(c => c.key).join(', ')} changed since.`);
+                return;
+            }
+
+            const events = command.changes
+                .filter(change => change.store === 'rules')
+                .map(change => {
+                    if (!change[current]) return this.buildRuleEvent('restored', null, change[target]);
+                    if (!change[target]) return this.buildRuleEvent('deleted', change[current], null);
+                    return this.buildRuleEvent(direction === 'undo' ? 'undone' : 'redone', change[current], change[target]);
+                });
+
+            await this.db.restoreRecords(
+                command.changes.map(change => ({ store: change.store, key: change.key, record: change[target] })),
+                events
+            );
+            from.pop();
+            to.push(command);
+            this.updateHistoryButtons();
+
+            await this.loadRules();
+            this.showSuccess(`${direction === 'undo' ? 'Undid' : 'Redid'}: ${command.label}`);
+            this.currentRoute = null;
+            this.applyRoute();
+        } catch (error) {
+            console.error(`Failed to ${direction}:`, error);
+            this.showError(`Failed to ${direction}. Nothing was changed.`);
+        }
+    }
+
+    /**
+     * Enable the Undo/Redo toolbar buttons and name the command they'd apply
+     */
+    updateHistoryButtons() {
+        const buttons = [
+            ['undoButton', this.history.undo, 'Undo', 'Ctrl+Z'],
+            ['redoButton', this.history.redo, 'Redo', 'Ctrl+Shift+Z']
+        ];
+
+        for (const [id, stack, verb, shortcut] of buttons) {
+            const button = document.getElementById(id);
+            if (!button) continue;
+            const command = stack[stack.length - 1];
+            button.disabled = !command;
+            button.title = command ? `${verb} ${command.label} (${shortcut})` : verb;
+        }
+    }
+
+    // ============================================
+    // TRASH
+    // ============================================
+
+    /**
+     * Rules that go to the trash together: a base rule takes its amendments along
+     */
+    getTrashGroup(rule) {
+        if (rule.baseRuleId) return [rule];
+        return [rule, ...this.rules.filter(r => r.baseRuleId === rule.id)];
+    }
+
+    /**
+     * Days deleted rules stay in the trash before being purged (0 = keep until emptied)
+     */
+    async getTrashRetentionDays() {
+        return this.db.getSetting('trashRetentionDays', 30);
+    }
+
+    /**
+     * Render trash view
+     */
+    renderTrash(retentionDays) {
+        const purgeDate = (entry) => {
+            const date = new Date(entry.deletedAt);
+            date.setDate(date.getDate() + retentionDays);
+            return date;
+        };
+
+        return `
+            <div class="section">
+                <div class="section-title">Trash Settings</div>
+                <div class="form-group">
+                    <label class="form-label" for="trashRetentionDays">Delete permanently after (days)</label>
+                    <input type="number" class="form-input" id="trashRetentionDays" min="0" step="1" value="${retentionDays}">
+                    <div class="form-help">0 keeps deleted rules until you empty the trash.</div>
+                </div>
+            </div>
+
+            ${this.trash.length === 0 ? `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🗑</div>
+                    <p class="empty-state-text">The trash is empty.</p>
+                </div>
+            ` : `
+                <div class="section">
+                    <div class="section-title">Deleted Rules (${this.trash.length})</div>
+                    ${this.trash.map(entry => {
+                        const [rule, ...amendments] = entry.rules;
+                        return `
+                            <div class="rule-card">
+                                <div class="rule-header">
+                                    <div class="rule-id">${this.escapeHtml(rule.id)}</div>
+                                    <div class="rule-status status-${rule.status}">${this.formatStatus(rule.status)}</div>
+                                </div>
+                                <div class="rule-title">${this.escapeHtml(rule.title)}</div>
+                                <div class="rule-meta"><strong>System:</strong> ${this.escapeHtml(rule.system)}</div>
+                                ${amendments.length > 0 ? `<div class="rule-meta"><strong>Amendments:</strong> ${this.escapeHtml(amendments.map(r => r.id).join(', '))}</div>` : ''}
+                                <div class="rule-meta"><strong>Deleted:</strong> ${this.formatDate(new Date(entry.deletedAt))}${retentionDays > 0 ? ` · purged ${this.formatDate(purgeDate(entry))}` : ''}</div>
+                                <div class="action-buttons">
+                                    <button class="btn btn-success btn-small" data-action="restore" data-id="${this.escapeHtml(entry.id)}">Restore</button>
+                                    <button class="btn btn-danger btn-small" data-action="delete-forever" data-id="${this.escapeHtml(entry.id)}">Delete Forever</button>
+                                </div>
+                            </div>
+                        `;
+                    }).join('')}
+                    <button class="btn btn-danger" data-action="empty-trash" style="width: 100%;">Empty Trash</button>
+                </div>
+            `}
+        `;
+    }
+
+    /**
+     * Attach trash listeners
+     */
+    attachTrashListeners() {
+        const retentionInput = document.getElementById('trashRetentionDays');
+        retentionInput.addEventListener('change', async () => {
+            const days = parseInt(retentionInput.value, 10);
+            if (isNaN(days) || days < 0) {
+                this.showError('Enter 0 or a positive number of days.');
+                return;
+            }
+            try {
+                await this.db.saveSetting('trashRetentionDays', days);
+                await this.purgeExpiredTrash();
+                this.showSuccess(days === 0 ? 'Deleted rules are kept until you empty the trash.' : `Deleted rules are purged after ${days} days.`);
+                this.renderView('trash');
+            } catch (error) {
+                console.error('Failed to save trash settings:', error);
+                this.showError('Failed to save trash settings. Please try again.');
+            }
+        });
+
+        document.querySelectorAll('[data-action="restore"]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                await this.restoreTrash([e.target.dataset.id]);
+            });
+        });
+
+        document.querySelectorAll('[data-action="delete-forever"]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                if (confirm('Permanently delete this rule and its amendments? This cannot be undone.')) {
+                    await this.purgeTrash([e.target.dataset.id]);
+                }
+            });
+        });
+
+        const emptyBtn = document.querySelector('[data-action="empty-trash"]');
+        if (emptyBtn) {
+            emptyBtn.addEventListener('click', async () => {
+                if (confirm(`Permanently delete all ${this.trash.length} items in the trash? This cannot be undone.`)) {
+                    await this.purgeTrash(this.trash.map(entry => entry.id));
+                }
+            });
+        }
+    }
+
+    /**
+     * Put trashed rules back where they were
+     */
+    async restoreTrash(entryIds) {
+        try {
+            const trashed = this.trash.filter(entry => entryIds.includes(entry.id));
+            if (trashed.length === 0) return;
+
+            // The system may have been renamed or deleted since; re-link, recreating it if needed
+            const entries = [];
+            for (const entry of trashed) {
+                const rules = [];
+                for (const rule of entry.rules) {
+                    const current = this.systems.find(s => s.systemId === rule.systemId) ||
+                        await this.ensureSystem(rule.system);
+                    rules.push({ ...rule, system: current.name, systemId: current.systemId });
+                }
+                entries.push({ ...entry, rules });
+            }
+
+            const events = entries.flatMap(entry => entry.rules.map(rule => this.buildRuleEvent('restored', null, rule)));
+            await this.db.restoreFromTrash(entries, events);
+            await this.loadRules();
+
+            const ruleCount = entries.reduce((sum, entry) => sum + entry.rules.length, 0);
+            this.showSuccess(`Restored ${ruleCount} ${ruleCount === 1 ? 'rule' : 'rules'}.`);
+            this.renderView(this.currentView);
+        } catch (error) {
+            console.error('Failed to restore from trash:', error);
+            this.showError('Failed to restore. A rule with the same ID may exist again.');
+        }
+    }
+
+    /**
+     * Permanently delete trash entries
+     * @param {Array<string>} entryIds - Trash entries to delete
+     * @param {string} actor - Who triggered it, recorded on the events
+     */
+    async purgeTrash(entryIds, actor = 'manual') {
+        try {
+            const entries = this.trash.filter(entry => entryIds.includes(entry.id));
+            if (entries.length === 0) return 0;
+
+            const events = entries.flatMap(entry => entry.rules.map(rule => this.buildRuleEvent('purged', rule, null, actor)));
+            await this.db.purgeTrash(entries.map(entry => entry.id), events);
+            await this.loadRules();
+
+            if (actor === 'manual') {
+                this.showSuccess(`Permanently deleted ${entries.length} ${entries.length === 1 ? 'item' : 'items'}.`);
+                this.renderView(this.currentView);
+            }
+            return entries.length;
+        } catch (error) {
+            console.error('Failed to purge trash:', error);
+            this.showError('Failed to empty the trash. Please try again.');
+            return 0;
+        }
+    }
+
+    /**
+     * Purge trash entries older than the retention period
+     */
+    async purgeExpiredTrash() {
+        const retentionDays = await this.getTrashRetentionDays();
+        if (!retentionDays) return;
+
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - retentionDays);
+        const expired = this.trash.filter(entry => new Date(entry.deletedAt) < cutoff);
+        if (expired.length > 0) {
+            await this.purgeTrash(expired.map(entry => entry.id), 'trashRetention');
+        }
+    }
+
+    /**
+     * Render Dev Tools view
+     */
+    async renderDevTools() {
+        const orphaned = this.systems.filter(s => !s.systemId);
+        const nextId = await this.db.getNextSystemId();
+        const sequences = await this.getIdSequenceReport();
+        const behind = sequences.filter(seq => seq.collisions.length > 0);
+        const withGaps = sequences.filter(seq => seq.gaps.length > 0);
+
+        // Build a preview of what IDs will be assigned
+        let previewRows = '';
+        orphaned.forEach((sys, i) => {
+            previewRows += `
+                <div class="rule-card" style="display: flex; align-items: center; justify-content: space-between; padding: 12px 16px; margin-bottom: 8px;">
+                    <div>
+                        <div class="rule-title" style="margin-bottom: 2px;">${this.escapeHtml(sys.name)}</div>
+                        <div class="rule-meta">Currently: <span style="color: #ef4444;">System ?</span></div>
+                    </div>
+                    <div class="rule-meta" style="color: #6ee7b7; font-weight: 600;">→ System ${nextId + i}</div>
+                </div>
+            `;
+        });
+
+        return `
+            <div class="section">
+                <div class="section-title">Dev Tools</div>
+                <div class="rule-card" style="border-color: #333; margin-bottom: 24px;">
+                    <div class="rule-title" style="color: #fcd34d; margin-bottom: 6px;">⚠ Patch: Orphaned System IDs</div>
+                    <div class="rule-meta" style="margin-bottom: 0;">
+                        Systems created before the System ID feature was added have no ID assigned.
+                        This tool assigns the next available IDs to each one.
+                    </div>
+                </div>
+            </div>
+
+            ${orphaned.length > 0 ? `
+                <div class="section">
+                    <div class="section-title">Systems Missing an ID (${orphaned.length})</div>
+                    ${previewRows}
+                    <button class="btn btn-primary" data-action="patch-system-ids">Assign IDs Now</button>
+                </div>
+            ` : `
+                <div class="empty-state">
+                    <div class="empty-state-icon">✓</div>
+                    <p class="empty-state-text">All systems have IDs assigned. No patch needed.</p>
+                </div>
+            `}
+
+            <div class="section">
+                <div class="rule-card" style="border-color: #333; margin-bottom: 24px;">
+                    <div class="rule-title" style="color: #fcd34d; margin-bottom: 6px;">⚠ Repair: Rule ID Counters</div>
+                    <div class="rule-meta" style="margin-bottom: 0;">
+                        Rule and amendment numbers come from saved counters. A counter that is behind the IDs
+                        already used (including deleted rules) would hand one of them out again.
+                        This tool moves those counters past the highest ID in use. Gaps are only listed; their numbers stay unused.
+                    </div>
+                </div>
+            </div>
+
+            ${behind.length > 0 ? `
+                <div class="section">
+                    <div class="section-title">Counters Behind Existing IDs (${behind.length})</div>
+                    ${behind.map(seq => `
+                        <div class="rule-card" style="padding: 12px 16px; margin-bottom: 8px;">
+                            <div class="rule-title" style="margin-bottom: 2px;">${this.escapeHtml(seq.label)}</div>
+                            <div class="rule-meta">Already used: <span style="color: #ef4444;">${this.escapeHtml(seq.collisions.join(', '))}</span></div>
+                            <div class="rule-meta" style="color: #6ee7b7; font-weight: 600;">→ Next ID ${this.escapeHtml(seq.nextId)}</div>
+                        </div>
+                    `).join('')}
+                    <button class="btn btn-primary" data-action="repair-id-counters">Repair Counters Now</button>
+                </div>
+            ` : `
+                <div class="empty-state">
+                    <div class="empty-state-icon">✓</div>
+                    <p class="empty-state-text">Every ID counter is past the IDs in use. No repair needed.</p>
+                </div>
+            `}
+
+            ${withGaps.length > 0 ? `
+                <div class="section">
+                    <div class="section-title">Gaps (${withGaps.length})</div>
+                    ${withGaps.map(seq => `
+                        <div class="rule-card" style="padding: 12px 16px; margin-bottom: 8px;">
+                            <div class="rule-title" style="margin-bottom: 2px;">${this.escapeHtml(seq.label)}</div>
+                            <div class="rule-meta">Missing: ${this.escapeHtml(seq.gaps.join(', '))}</div>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Compare the saved ID counters with the IDs in use
+     * IDs named in the event log or held in the trash count as used, since they belonged to deleted rules.
+     * @returns {Promise<Array>} { key, label, nextId, gaps, collisions } per sequence
+     */
+    async getIdSequenceReport() {
+        const counters = await this.db.getAllCounters();
+        const ruleNumbers = this.rules.map(r => this.db.parseRuleId(r.id)).filter(Boolean);
+        const trashedIds = this.trash.flatMap(entry => entry.rules.map(r => r.id));
+        const usedNumbers = [...this.rules.map(r => r.id), ...trashedIds, ...this.events.map(e => e.ruleId)]
+            .map(id => this.db.parseRuleId(id))
+            .filter(Boolean);
+        const keys = [...new Set([...counters.map(c => c.key), ...usedNumbers.map(p => p.key)])].sort();
+
+        return keys.map(key => {
+            const counter = counters.find(c => c.key === key);
+            const value = counter ? counter.value : 0;
+            const existing = new Set(ruleNumbers.filter(p => p.key === key).map(p => p.number));
+            const used = new Set(usedNumbers.filter(p => p.key === key).map(p => p.number));
+            const highest = Math.max(0, ...used);
+
+            const gaps = [];
+            const collisions = [];
+            for (let n = 1; n <= highest; n++) {
+                if (!existing.has(n)) gaps.push(this.db.formatRuleId(key, n));
+                if (n > value && used.has(n)) collisions.push(this.db.formatRuleId(key, n));
+            }
+
+            const scope = key.slice(key.indexOf(':') + 1);
+            return {
+                key,
+                label: key.startsWith('rule:') ? `Rules ${scope}` : `Amendments to ${scope}`,
+                nextId: this.db.formatRuleId(key, Math.max(value, highest) + 1),
+                gaps,
+                collisions
+            };
+        });
+    }
+
+    /**
+     * Attach Dev Tools listeners
+     */
+    attachDevToolsListeners() {
+        const patchBtn = document.querySelector('[data-action="patch-system-ids"]');
+        if (patchBtn) {
+            patchBtn.addEventListener('click', async () => {
+                await this.patchOrphanedSystemIds();
+            });
+        }
+
+        const repairBtn = document.querySelector('[data-action="repair-id-counters"]');
+        if (repairBtn) {
+            repairBtn.addEventListener('click', async () => {
+                await this.repairIdCounters();
+            });
+        }
+    }
+
+    /**
+     * Move every ID counter past the highest ID in use, including deleted rules' IDs
+     */
+    async repairIdCounters() {
+        try {
+            const raised = await this.db.raiseCounters(this.db.deriveCounters(this.rules, this.events));
+            if (raised === 0) {
+                this.showSuccess('Nothing to repair — all ID counters are up to date.');
+            } else {
+                this.showSuccess(`Repaired ${raised} ID counter${raised === 1 ? '' : 's'}.`);
+            }
+            this.renderView('devtools');
+        } catch (error) {
+            console.error('Failed to repair ID counters:', error);
+            this.showError('Repair failed. Please try again.');
+        }
+    }
+
+    /**
+     * Assign sequential IDs to any systems that are missing one
+     */
+    async patchOrphanedSystemIds() {
+        try {
+            const orphaned = this.systems.filter(s => !s.systemId);
+            if (orphaned.length === 0) {
+                this.showSuccess('Nothing to patch — all systems already have IDs.');
+                return;
+            }
+
+            let nextId = await this.db.getNextSystemId();
+
+            for (const sys of orphaned) {
+                sys.systemId = nextId;
+                sys.updatedAt = new Date().toISOString();
+                await this.db.updateSystem(sys);
+                nextId++;
+            }
+
+            await this.loadRules();
+            this.showSuccess(`Patched ${orphaned.length} system${orphaned.length === 1 ? '' : 's'} with new IDs.`);
+            // Re-render the view so the empty state shows up immediately
+            this.renderView('devtools');
+        } catch (error) {
+            console.error('Failed to patch system IDs:', error);
+            this.showError('Patch failed. Please try again.');
+        }
+    }
+
+    /**
+     * Show rule detail view
+     */
+    showRuleDetail(ruleId) {
+        const rule = this.rules.find(r => r.id === ruleId);
+        if (!rule) return;
+
+        this.setRoute(`#/rule/${encodeURIComponent(rule.id)}`);
+
+        const adherence = this.getAdherence(ruleId);
+        const todayKey = this.toDateKey(new Date());
+        const chain = this.getAmendmentChain(rule);
+        const inForce = chain.filter(r => r.status === 'active').pop() || null;
+        const terms = this.getTermLineage(rule);
+        const links = this.getRuleLinks(rule);
+        const relationLabels = this.getRelationLabels();
+        const relationWarnings = ['proposed', 'passed', 'active'].includes(rule.status) ? this.getRelationWarnings(rule) : [];
+
+        const container = document.getElementById('app-container');
+        container.innerHTML = `
+            <div class="rule-header" style="margin-bottom: 16px;">
+                <div class="rule-id" style="font-size: 13px;">${this.escapeHtml(rule.id)}</div>
+                <div class="rule-status status-${rule.status}">${this.formatStatus(rule.status)}</div>
+            </div>
+
+            <h2 style="font-size: 20px; margin-bottom: 24px; color: #fff;">${this.escapeHtml(rule.title)}</h2>
+
+            <div class="detail-section">
+                <div class="detail-label">System</div>
+                <div class="detail-value">${this.escapeHtml(rule.system)}</div>
+            </div>
+
+            <div class="detail-section">
+                <div class="detail-label">Schedule</div>
+                <div class="detail-value">${this.escapeHtml(this.formatSchedule(rule.schedule))}</div>
+            </div>
+
+            ${rule.status === 'superseded' && rule.supersededBy ? `
+                <div class="detail-section">
+                    <div class="detail-label">Superseded</div>
+                    <div class="detail-value" style="font-size: 14px;">
+                        Replaced by <a href="#" class="chain-link" data-action="view-version" data-id="${this.escapeHtml(rule.supersededBy)}">${this.escapeHtml(rule.supersededBy)}</a>
+                        on ${this.formatDate(new Date(rule.supersededDate))}
+                    </div>
+                </div>
+            ` : ''}
+
+            ${rule.passedDate ? `
+                <div class="detail-section">
+                    <div class="detail-label">Status Timeline</div>
+                    <div class="detail-value">
+                        <div style="font-size: 13px; color: #888; margin-bottom: 4px;">Created: ${this.formatDate(new Date(rule.createdAt))}</div>
+                        ${rule.passedDate ? `<div style="font-size: 13px; color: #888; margin-bottom: 4px;">Passed: ${this.formatDate(new Date(rule.passedDate))}</div>` : ''}
+                        ${rule.effectiveDate ? `<div style="font-size: 13px; color: #888; margin-bottom: 4px;">Effective: ${this.formatDate(new Date(rule.effectiveDate))}</div>` : ''}
+                        <div style="font-size: 13px; color: #888;">Expires: ${rule.expirationDate ? this.formatDate(new Date(rule.expirationDate)) : 'Indefinite'}</div>
+                    </div>
+                </div>
+            ` : ''}
+
+            <div class="detail-section">
+                <div class="detail-label">Sunset Clause</div>
+                <div class="detail-value" style="font-size: 14px;">
+                    ${rule.sunsetType === 'indefinite' ? 'Indefinite — this rule does not expire automatically.'
+                      : rule.sunsetType === 'custom' && rule.customSunsetDays ? `Custom — ${rule.customSunsetDays} days after effective date.`
+                      : 'Default — 30 days after effective date.'}
+                </div>
+            </div>
+
+            <div class="detail-section">
+                <div class="detail-label">${rule.clauseType === 'purpose' ? 'Purpose Clause' : 'Hypothesis Clause'}</div>
+                <div class="detail-clause">${this.renderRuleText(rule.clauseText, rule)}</div>
+            </div>
+
+            ${rule.successMetrics ? `
+                <div class="detail-section">
+                    <div class="detail-label">Success Metrics ${rule.successMetricsSource === 'system' ? '(From System)' : rule.successMetricsSource === 'custom' ? '(Custom)' : ''}</div>
+                    <div class="detail-clause">${this.renderRuleText(rule.successMetrics, rule)}</div>
+                </div>
+            ` : ''}
+
+            ${rule.body ? `
+                <div class="detail-section">
+                    <div class="detail-label">Body</div>
+                    <div class="detail-value" style="font-size: 14px; line-height: 1.6;">${this.renderRuleText(rule.body, rule)}</div>
+                </div>
+            ` : ''}
+
+            ${rule.evaluation ? `
+                <div class="detail-section">
+                    <div class="detail-label">Hypothesis Evaluation (${this.formatDate(new Date(rule.evaluation.evaluatedAt))})</div>
+                    <div class="detail-value" style="margin-bottom: 8px;">
+                        <span class="verdict verdict-${this.escapeHtml(rule.evaluation.verdict)}">${this.escapeHtml(this.formatVerdict(rule.evaluation.verdict))}</span>
+                    </div>
+                    <div class="detail-clause">${this.renderRuleText(rule.evaluation.evidence)}</div>
+                    ${rule.evaluation.reproposedAs ? `
+                        <div style="font-size: 13px; color: #888; margin-top: 8px;">
+                            Re-proposed as purpose rule <a href="#" class="chain-link" data-action="view-version" data-id="${this.escapeHtml(rule.evaluation.reproposedAs)}">${this.escapeHtml(rule.evaluation.reproposedAs)}</a>
+                        </div>
+                    ` : ''}
+                </div>
+            ` : ''}
+
+            ${rule.reproposedFrom ? `
+                <div class="detail-section">
+                    <div class="detail-label">Origin</div>
+                    <div class="detail-value" style="font-size: 14px;">
+                        Re-proposed from confirmed hypothesis <a href="#" class="chain-link" data-action="view-version" data-id="${this.escapeHtml(rule.reproposedFrom)}">${this.escapeHtml(rule.reproposedFrom)}</a>
+                    </div>
+                </div>
+            ` : ''}
+
+            ${this.needsEvaluation(rule) ? `
+                <div class="detail-section">
+                    <div class="detail-label">Evaluation Required</div>
+                    <div class="detail-value" style="font-size: 14px; color: #fcd34d;">
+                        This hypothesis has reached its sunset. Record whether it held before archiving it.
+                    </div>
+                </div>
+            ` : ''}
+
+            ${chain.length > 1 ? `
+                <div class="detail-section">
+                    <div class="detail-label">Currently in Force</div>
+                    ${inForce ? `
+                        <div class="detail-value" style="font-size: 14px; margin-bottom: 8px;">${this.escapeHtml(inForce.id)} — ${this.escapeHtml(inForce.title)}</div>
+                        <div class="detail-clause">${this.renderRuleText(inForce.clauseText, inForce)}</div>
+                        ${inForce.body ? `<div class="detail-value" style="font-size: 14px; line-height: 1.6; margin-top: 8px;">${this.renderRuleText(inForce.body, inForce)}</div>` : ''}
+                    ` : '<div class="detail-value" style="font-size: 14px; color: #888;">No version of this rule is currently in force.</div>'}
+                </div>
+
+                <div class="detail-section">
+                    <div class="detail-label">Amendment History</div>
+                    ${chain.map(version => `
+                        <div class="chain-row ${version.id === rule.id ? 'current' : ''}" data-action="view-version" data-id="${this.escapeHtml(version.id)}">
+                            <span class="rule-id">${this.escapeHtml(version.id)}</span>
+                            <span class="chain-title">${version.amendmentNumber === 0 ? 'Original rule' : this.escapeHtml(version.title)}</span>
+                            <span class="rule-status status-${version.status}">${this.formatStatus(version.status)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+
+            ${terms.length > 1 ? `
+                <div class="detail-section">
+                    <div class="detail-label">Terms</div>
+                    ${terms.map(term => `
+                        <div class="chain-row ${term.id === rule.id ? 'current' : ''}" data-action="view-version" data-id="${this.escapeHtml(term.id)}">
+                            <span class="rule-id">Term ${term.termNumber || 1}</span>
+                            <span class="chain-title">${this.escapeHtml(term.id)}${term.effectiveDate ? ` · ${this.formatDate(new Date(term.effectiveDate))} – ${term.expirationDate ? this.formatDate(new Date(term.expirationDate)) : 'Indefinite'}` : ''}</span>
+                            <span class="rule-status status-${term.status}">${this.formatStatus(term.status)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+
+            ${links.length > 0 ? `
+                <div class="detail-section">
+                    <div class="detail-label">Related Rules</div>
+                    ${links.map((link, index) => {
+                        const target = this.rules.find(r => r.id === link.ruleId);
+                        return `
+                            <div class="chain-row" data-action="view-version" data-id="${this.escapeHtml(link.ruleId)}">
+                                <span class="rule-id">${relationLabels[link.type][link.outgoing ? 'outgoing' : 'incoming']}</span>
+                                <span class="chain-title">${this.escapeHtml(link.ruleId)}${target ? ` — ${this.escapeHtml(target.title)}` : ' (deleted)'}</span>
+                                ${target ? `<span class="rule-status status-${target.status}">${this.formatStatus(target.status)}</span>` : ''}
+                                ${link.outgoing ? `<button class="chain-remove" data-action="remove-relation" data-index="${index}" title="Remove link">×</button>` : ''}
+                            </div>
+                        `;
+                    }).join('')}
+                    ${relationWarnings.map(text => `<div class="relation-warning">⚠ ${this.escapeHtml(text)}</div>`).join('')}
+                </div>
+            ` : ''}
+
+            ${rule.status === 'active' || adherence.total > 0 ? `
+                <div class="detail-section">
+                    <div class="detail-label">Adherence</div>
+                    <div class="adherence-stats">
+                        <div><span class="adherence-number">${adherence.percentage === null ? '—' : adherence.percentage + '%'}</span> kept</div>
+                        <div><span class="adherence-number">${adherence.currentStreak}</span> day streak</div>
+                        <div><span class="adherence-number">${adherence.bestStreak}</span> best</div>
+                    </div>
+                    <div style="font-size: 13px; color: #888; margin-bottom: 12px;">
+                        ${adherence.kept} kept · ${adherence.broken} broken · ${adherence.skipped} skipped
+                    </div>
+                    ${rule.status === 'active' ? `
+                        <div class="form-group" style="margin-bottom: 8px;">
+                            <input type="date" class="form-input" id="checkinDate" value="${todayKey}" max="${todayKey}" ${rule.effectiveDate ? `min="${this.toDateKey(new Date(rule.effectiveDate))}"` : ''}>
+                        </div>
+                        <div class="checkin-buttons">
+                            ${this.renderCheckinButtons(rule.id, this.getCheckin(rule.id, todayKey))}
+                        </div>
+                    ` : ''}
+                    ${adherence.checkins.length > 0 ? `
+                        <div class="checkin-log">
+                            ${adherence.checkins.slice(-14).reverse().map(c => `
+                                <div class="checkin-log-row">
+                                    <span>${this.formatDate(this.fromDateKey(c.date))}</span>
+                                    <span class="checkin-outcome checkin-${this.escapeHtml(c.outcome)}">${this.escapeHtml(c.outcome)}</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+            ` : ''}
+
+            <div class="detail-section">
+                <div class="detail-label">History</div>
+                <div class="event-timeline">
+                    ${this.renderEventTimeline(rule.id)}
+                </div>
+            </div>
+
+            <div class="action-buttons">
+                <button class="btn btn-secondary btn-small" data-action="back">Back</button>
+                ${rule.status === 'proposed' ? `<button class="btn btn-primary btn-small" data-action="edit-proposed">Edit</button>` : ''}
+                ${rule.status === 'active' ? `<button class="btn btn-secondary btn-small" data-action="create-amendment">Create Amendment</button>` : ''}
+                ${this.needsEvaluation(rule) ? `<button class="btn btn-primary btn-small" data-action="evaluate">Evaluate Hypothesis</button>` : ''}
+                ${this.canRenew(rule) ? `<button class="btn btn-success btn-small" data-action="renew">Renew</button>` : ''}
+                <button class="btn btn-secondary btn-small" data-action="move-system">Move to System</button>
+                <button class="btn btn-secondary btn-small" data-action="add-relation">Link Rule</button>
+                <button class="btn btn-secondary btn-small" data-action="save-template">Save as Template</button>
+                ${this.canArchive(rule) ? `<button class="btn btn-secondary btn-small" data-action="archive">Archive</button>` : ''}
+            </div>
+        `;
+
+        // Attach listeners
+        const backBtn = container.querySelector('[data-action="back"]');
+        if (backBtn) {
+            backBtn.addEventListener('click', () => {
+                this.goBack(this.getListViewForRule(rule));
+            });
+        }
+
+        const editProposedBtn = container.querySelector('[data-action="edit-proposed"]');
+        if (editProposedBtn) {
+            editProposedBtn.addEventListener('click', () => {
+                this.showEditProposedForm(ruleId);
+            });
+        }
+
+        const amendmentBtn = container.querySelector('[data-action="create-amendment"]');
+        if (amendmentBtn) {
+            amendmentBtn.addEventListener('click', () => {
+                this.showAmendmentDialog(ruleId);
+            });
+        }
+
+        const archiveBtn = container.querySelector('[data-action="archive"]');
+        if (archiveBtn) {
+            archiveBtn.addEventListener('click', async () => {
+                await this.archiveRule(ruleId);
+            });
+        }
+
+        const moveBtn = container.querySelector('[data-action="move-system"]');
+        if (moveBtn) {
+            moveBtn.addEventListener('click', () => {
+                this.showMoveRulesDialog([ruleId]);
+            });
+        }
+
+        container.querySelector('[data-action="add-relation"]').addEventListener('click', () => {
+            this.showRelationDialog(ruleId);
+        });
+
+        container.querySelector('[data-action="save-template"]').addEventListener('click', () => {
+            this.showSaveTemplateDialog(ruleId);
+        });
+
+        // Links held by this rule can be removed here; the rest belong to the other rule
+        container.querySelectorAll('[data-action="remove-relation"]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const removed = links[Number(e.currentTarget.dataset.index)];
+                const remaining = this.getRelations(rule).filter(rel => !(rel.type === removed.type && rel.ruleId === removed.ruleId));
+                await this.saveRelations(ruleId, remaining, `Unlink ${ruleId} from ${removed.ruleId}`);
+            });
+        });
+
+        const renewBtn = container.querySelector('[data-action="renew"]');
+        if (renewBtn) {
+            renewBtn.addEventListener('click', async () => {
+                await this.renewRule(ruleId);
+            });
+        }
+
+        const evaluateBtn = container.querySelector('[data-action="evaluate"]');
+        if (evaluateBtn) {
+            evaluateBtn.addEventListener('click', () => {
+                this.showEvaluationDialog(ruleId);
+            });
+        }
+
+        // Jump between versions of an amended rule
+        container.querySelectorAll('[data-action="view-version"]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (e.currentTarget.dataset.id !== ruleId) {
+                    this.showRuleDetail(e.currentTarget.dataset.id);
+                }
+            });
+        });
+
+        // Check-in for the chosen day; the buttons reflect whatever is recorded for it
+        const checkinDateInput = container.querySelector('#checkinDate');
+        if (checkinDateInput) {
+            checkinDateInput.addEventListener('change', () => {
+                const checkin = this.getCheckin(ruleId, checkinDateInput.value);
+                container.querySelectorAll('[data-action="checkin"]').forEach(btn => {
+                    btn.classList.toggle('selected', !!checkin && checkin.outcome === btn.dataset.outcome);
+                });
+            });
+        }
+
+        container.querySelectorAll('[data-action="checkin"]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const date = checkinDateInput && checkinDateInput.value ? checkinDateInput.value : todayKey;
+                await this.recordCheckin(ruleId, date, e.currentTarget.dataset.outcome);
+                this.showRuleDetail(ruleId);
+            });
+        });
+    }
+
+    /**
+     * Show edit form for a proposed rule
+     */
+    showEditProposedForm(ruleId) {
+        const rule = this.rules.find(r => r.id === ruleId);
+        if (!rule) return;
+
+        // Render the create form pre-filled with this rule's data, in edit mode
+        const container = document.getElementById('app-container');
+        container.innerHTML = this.renderCreateForm(rule);
+        this.attachEditProposedListeners(rule);
+    }
+
+    /**
+     * Attach listeners for the edit-proposed form
+     */
+    attachEditProposedListeners(rule) {
+        const form = document.getElementById('ruleForm');
+        const systemSelect = document.getElementById('systemSelect');
+        const systemInput = document.getElementById('systemInput');
+
+        // System selector logic (same as create)
+        systemSelect.addEventListener('change', async (e) => {
+            if (e.target.value === '__new__') {
+                systemInput.style.display = 'block';
+                systemInput.required = true;
+                systemSelect.required = false;
+                systemInput.focus();
+            } else {
+                systemInput.style.display = 'none';
+                systemInput.required = false;
+                systemSelect.required = true;
+                await this.updateSystemMetricsPreview(e.target.value);
+            }
+        });
+
+        // Success metrics type toggle
+        const metricsTypeRadios = form.querySelectorAll('input[name="successMetricsType"]');
+        metricsTypeRadios.forEach(radio => {
+            radio.addEventListener('change', async (e) => {
+                const customGroup = document.getElementById('customMetricsGroup');
+                const systemPreview = document.getElementById('systemMetricsPreview');
+                if (e.target.value === 'custom') {
                     customGroup.style.display = 'block';
                     systemPreview.style.display = 'none';
                 } else if (e.target.value === 'system') {
@@ -1473,339 +3802,2620 @@ class PersonalRulesApp {
                     const selectedSystem = systemSelect.value !== '__new__' ? systemSelect.value : systemInput.value;
                     await this.updateSystemMetricsPreview(selectedSystem);
                 } else {
-                    customGroup.style.display = 'none';
-                    systemPreview.style.display = 'none';
+                    customGroup.style.display = 'none';
+                    systemPreview.style.display = 'none';
+                }
+            });
+        });
+
+        // Sunset clause type toggle
+        const sunsetRadios = form.querySelectorAll('input[name="sunsetType"]');
+        sunsetRadios.forEach(radio => {
+            radio.addEventListener('change', (e) => {
+                const customSunsetGroup = document.getElementById('customSunsetGroup');
+                customSunsetGroup.style.display = e.target.value === 'custom' ? 'block' : 'none';
+            });
+        });
+
+        this.attachScheduleListeners();
+
+        // Cancel button
+        const cancelEditBtn = document.getElementById('cancelEdit');
+        if (cancelEditBtn) {
+            cancelEditBtn.addEventListener('click', () => {
+                this.showRuleDetail(rule.id);
+            });
+        }
+
+        // Form submission — update the existing proposed rule in place
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.updateProposedRule(rule.id);
+        });
+    }
+
+    /**
+     * Update an existing proposed rule in place
+     */
+    async updateProposedRule(ruleId) {
+        try {
+            const snapshot = this.takeSnapshot();
+            const rule = this.rules.find(r => r.id === ruleId);
+            if (!rule || rule.status !== 'proposed') {
+                this.showError('Only proposed rules can be edited.');
+                return;
+            }
+
+            const title = document.getElementById('title').value.trim();
+            const systemSelect = document.getElementById('systemSelect');
+            const systemInput = document.getElementById('systemInput');
+
+            let system;
+            if (systemSelect.value === '__new__') {
+                system = systemInput.value.trim();
+                if (!system) {
+                    this.showError('Please enter a system name.');
+                    return;
+                }
+            } else if (systemSelect.value) {
+                system = systemSelect.value;
+            } else {
+                this.showError('Please select or create a system.');
+                return;
+            }
+
+            const clauseType = document.querySelector('input[name="clauseType"]:checked').value;
+            const clauseText = document.getElementById('clauseText').value.trim();
+            const successMetricsType = document.querySelector('input[name="successMetricsType"]:checked').value;
+            const body = document.getElementById('body').value.trim();
+            const markdown = document.getElementById('markdown').checked;
+            const sunsetType = document.querySelector('input[name="sunsetType"]:checked').value;
+            const customSunsetDays = sunsetType === 'custom'
+                ? parseInt(document.getElementById('customSunsetDays').value, 10)
+                : null;
+
+            if (!title || !system || !clauseText) {
+                this.showError('Please fill in all required fields.');
+                return;
+            }
+
+            if (sunsetType === 'custom' && (!customSunsetDays || customSunsetDays < 1)) {
+                this.showError('Please enter a valid number of days (minimum 1).');
+                return;
+            }
+
+            const { schedule, error: scheduleError } = this.readScheduleFields();
+            if (scheduleError) {
+                this.showError(scheduleError);
+                return;
+            }
+
+            // Resolve success metrics
+            let successMetrics = null;
+            let successMetricsSource = 'none';
+            if (successMetricsType === 'custom') {
+                successMetrics = document.getElementById('successMetrics').value.trim();
+                if (!successMetrics) {
+                    this.showError('Please enter custom success metrics or select a different option.');
+                    return;
+                }
+                successMetricsSource = 'custom';
+            } else if (successMetricsType === 'system') {
+                const systemData = await this.db.getSystem(system);
+                if (systemData && systemData.successMetrics) {
+                    successMetrics = systemData.successMetrics;
+                    successMetricsSource = 'system';
+                } else {
+                    this.showError(`The system "${system}" has no success metrics defined. Please add metrics to the system or choose custom metrics.`);
+                    return;
+                }
+            }
+
+            // Create system if it doesn't exist
+            const { systemId } = await this.ensureSystem(system);
+
+            // Apply updates to the rule (keep id, status, timestamps intact)
+            const before = { ...rule };
+            rule.title = title;
+            rule.system = system;
+            rule.systemId = systemId;
+            rule.clauseType = clauseType;
+            rule.clauseText = clauseText;
+            rule.successMetrics = successMetrics;
+            rule.successMetricsSource = successMetricsSource;
+            rule.sunsetType = sunsetType;
+            rule.customSunsetDays = customSunsetDays;
+            rule.schedule = schedule;
+            rule.body = body;
+            rule.markdown = markdown;
+            rule.updatedAt = new Date().toISOString();
+
+            await this.db.updateRule(rule);
+            await this.logRuleEvent('edited', before, rule);
+            await this.loadRules();
+            this.recordHistory(`Edit ${rule.id}`, snapshot);
+
+            this.showSuccess(`Rule "${title}" updated successfully!`);
+            this.showView('proposed');
+        } catch (error) {
+            console.error('Failed to update proposed rule:', error);
+            this.showError('Failed to update rule. Please try again.');
+        }
+    }
+
+    /**
+     * Whether a rule can be archived (rejected, expired or superseded, hypothesis evaluated)
+     */
+    canArchive(rule) {
+        return ['rejected', 'expired', 'superseded'].includes(rule.status) &&
+            !rule.isArchived &&
+            !this.needsEvaluation(rule);
+    }
+
+    /**
+     * Whether an expired rule can be renewed (not already renewed, hypothesis evaluated)
+     * A rejected renewal doesn't count, so the rule can be put forward again.
+     */
+    canRenew(rule) {
+        return rule.status === 'expired' &&
+            !this.rules.some(r => r.renewedFrom === rule.id && r.status !== 'rejected') &&
+            !this.needsEvaluation(rule);
+    }
+
+    /**
+     * Get every term of a rule's renewal lineage, oldest first
+     */
+    getTermLineage(rule) {
+        const terms = [rule];
+
+        let previous = rule;
+        while (previous.renewedFrom) {
+            previous = this.rules.find(r => r.id === previous.renewedFrom);
+            if (!previous) break;
+            terms.unshift(previous);
+        }
+
+        // After a rejected renewal, a later one continues the lineage
+        let next = rule;
+        while ((next = this.rules
+            .filter(r => r.renewedFrom === next.id)
+            .sort((a, b) => (a.status === 'rejected') - (b.status === 'rejected'))[0])) {
+            terms.push(next);
+        }
+
+        return terms;
+    }
+
+    /**
+     * Renew an expired rule as a new proposed term
+     * The new term keeps the clause, metrics and sunset settings of the expired one
+     * and goes through the usual proposed → passed flow
+     */
+    async renewRule(ruleId) {
+        try {
+            const rule = this.rules.find(r => r.id === ruleId);
+            if (!rule || rule.status !== 'expired') {
+                throw new Error('Only expired rules can be renewed');
+            }
+
+            if (this.needsEvaluation(rule)) {
+                this.showError('File a hypothesis evaluation before renewing this rule.');
+                return;
+            }
+
+            if (!this.canRenew(rule)) {
+                this.showError(`Rule "${rule.title}" has already been renewed.`);
+                return;
+            }
+
+            const termNumber = (rule.termNumber || 1) + 1;
+            const renewal = {
+                id: await this.getNextRuleId(),
+                title: rule.title,
+                system: rule.system,
+                systemId: rule.systemId,
+                status: 'proposed',
+                passedDate: null,
+                effectiveDate: null,
+                effectiveDateType: null,
+                expirationDate: null,
+                clauseType: rule.clauseType,
+                clauseText: rule.clauseText,
+                successMetrics: rule.successMetrics,
+                successMetricsSource: rule.successMetricsSource,
+                sunsetType: rule.sunsetType,
+                customSunsetDays: rule.customSunsetDays,
+                body: rule.body,
+                markdown: !!rule.markdown,
+                relations: [...this.getRelations(rule)],
+                schedule: rule.schedule ?? null,
+                isArchived: false,
+                baseRuleId: null,
+                amendmentNumber: 0,
+                renewedFrom: rule.id,
+                termNumber,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+
+            await this.db.createRule(renewal);
+            await this.logRuleEvent('created', null, renewal);
+            await this.loadRules();
+
+            this.showSuccess(`Renewed as ${renewal.id} (term ${termNumber}). Pass it to start the new term.`);
+            this.showView('proposed');
+        } catch (error) {
+            console.error('Failed to renew rule:', error);
+            this.showError('Failed to renew rule. Please try again.');
+        }
+    }
+
+    /**
+     * Whether a rule is an expired hypothesis that has not been evaluated yet
+     */
+    needsEvaluation(rule) {
+        return rule.clauseType === 'hypothesis' && rule.status === 'expired' && !rule.evaluation;
+    }
+
+    /**
+     * Format a hypothesis verdict for display
+     */
+    formatVerdict(verdict) {
+        const verdictMap = {
+            'confirmed': 'Confirmed',
+            'refuted': 'Refuted',
+            'inconclusive': 'Inconclusive'
+        };
+        return verdictMap[verdict] || verdict;
+    }
+
+    /**
+     * Show the evaluation dialog for an expired hypothesis rule
+     */
+    showEvaluationDialog(ruleId) {
+        const rule = this.rules.find(r => r.id === ruleId);
+        if (!rule || !this.needsEvaluation(rule)) return;
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Evaluate Hypothesis: ${this.escapeHtml(rule.title)}</h3>
+
+                <div class="form-group">
+                    <div class="detail-label">Hypothesis</div>
+                    <div class="detail-clause">${this.renderRuleText(rule.clauseText, rule)}</div>
+                </div>
+
+                ${rule.successMetrics ? `
+                    <div class="form-group">
+                        <div class="detail-label">Success Metrics</div>
+                        <div class="detail-clause">${this.renderRuleText(rule.successMetrics, rule)}</div>
+                    </div>
+                ` : ''}
+
+                <form id="evaluationForm">
+                    <div class="form-group">
+                        <label class="form-label">Verdict *</label>
+                        <div class="form-radio">
+                            <label>
+                                <input type="radio" name="verdict" value="confirmed" checked>
+                                Confirmed
+                            </label>
+                            <label>
+                                <input type="radio" name="verdict" value="refuted">
+                                Refuted
+                            </label>
+                            <label>
+                                <input type="radio" name="verdict" value="inconclusive">
+                                Inconclusive
+                            </label>
+                        </div>
+                    </div>
+
+                    <div class="form-group">
+                        <label class="form-label">Evidence *</label>
+                        <textarea class="form-textarea" id="evaluationEvidence" placeholder="${rule.successMetrics ? 'How did the results measure up against the success metrics?' : 'What did you observe while the rule was active?'}" required></textarea>
+                    </div>
+
+                    <div class="form-group">
+                        <label class="form-radio" style="margin-top: 0;">
+                            <input type="checkbox" id="reproposeAsPurpose">
+                            Re-propose as a purpose rule
+                        </label>
+                        <div class="form-help">Creates a new proposed rule with the same clause, metrics and sunset settings</div>
+                    </div>
+
+                    <div class="action-buttons">
+                        <button type="submit" class="btn btn-primary">File Evaluation</button>
+                        <button type="button" class="btn btn-secondary" id="cancelEvaluation">Cancel</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        // Handle form submission
+        document.getElementById('evaluationForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const verdict = modal.querySelector('input[name="verdict"]:checked').value;
+            const evidence = document.getElementById('evaluationEvidence').value.trim();
+            const repropose = document.getElementById('reproposeAsPurpose').checked;
+
+            if (!evidence) {
+                alert('Please describe the evidence for your verdict');
+                return;
+            }
+
+            await this.evaluateHypothesis(ruleId, verdict, evidence, repropose);
+            document.body.removeChild(modal);
+        });
+
+        // Handle cancel
+        document.getElementById('cancelEvaluation').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+    }
+
+    /**
+     * File the evaluation of an expired hypothesis rule, optionally re-proposing
+     * it as a purpose rule
+     */
+    async evaluateHypothesis(ruleId, verdict, evidence, repropose = false) {
+        try {
+            const rule = this.rules.find(r => r.id === ruleId);
+            if (!rule || !this.needsEvaluation(rule)) {
+                throw new Error('Only expired, unevaluated hypothesis rules can be evaluated');
+            }
+
+            let reproposed = null;
+            if (repropose) {
+                reproposed = {
+                    id: await this.getNextRuleId(),
+                    title: rule.title,
+                    system: rule.system,
+                    systemId: rule.systemId,
+                    status: 'proposed',
+                    passedDate: null,
+                    effectiveDate: null,
+                    effectiveDateType: null,
+                    expirationDate: null,
+                    clauseType: 'purpose',
+                    clauseText: rule.clauseText,
+                    successMetrics: rule.successMetrics,
+                    successMetricsSource: rule.successMetricsSource,
+                    sunsetType: rule.sunsetType,
+                    customSunsetDays: rule.customSunsetDays,
+                    body: rule.body,
+                    markdown: !!rule.markdown,
+                    relations: [...this.getRelations(rule)],
+                    schedule: rule.schedule ?? null,
+                    isArchived: false,
+                    baseRuleId: null,
+                    amendmentNumber: 0,
+                    reproposedFrom: rule.id,
+                    createdAt: new Date().toISOString(),
+                    updatedAt: new Date().toISOString()
+                };
+                await this.db.createRule(reproposed);
+                await this.logRuleEvent('created', null, reproposed);
+            }
+
+            const before = { ...rule };
+            rule.evaluation = {
+                verdict,
+                evidence,
+                reproposedAs: reproposed ? reproposed.id : null,
+                evaluatedAt: new Date().toISOString()
+            };
+            rule.updatedAt = new Date().toISOString();
+
+            await this.db.updateRule(rule);
+            await this.logRuleEvent('evaluated', before, rule);
+            await this.loadRules();
+
+            this.showSuccess(reproposed
+                ? `Evaluation filed. Re-proposed as ${reproposed.id}.`
+                : `Evaluation filed: ${this.formatVerdict(verdict)}.`);
+            this.showRuleDetail(ruleId);
+        } catch (error) {
+            console.error('Failed to file evaluation:', error);
+            this.showError('Failed to file evaluation. Please try again.');
+        }
+    }
+
+    /**
+     * Get the base rule and all of its amendments, ordered by amendment number
+     */
+    getAmendmentChain(rule) {
+        const baseRuleId = rule.baseRuleId || rule.id;
+        return this.rules
+            .filter(r => r.id === baseRuleId || r.baseRuleId === baseRuleId)
+            .sort((a, b) => a.amendmentNumber - b.amendmentNumber);
+    }
+
+    /**
+     * Get the version of a rule's chain that is currently in force (active or awaiting
+     * activation), ignoring the given rule itself
+     */
+    getRuleInForce(rule) {
+        const inForce = this.getAmendmentChain(rule)
+            .filter(r => r.id !== rule.id && (r.status === 'active' || r.status === 'passed'));
+        return inForce.length > 0 ? inForce[inForce.length - 1] : null;
+    }
+
+    /**
+     * Mark every earlier version of an amendment's chain as superseded by it
+     * Called when an amendment becomes active, so only one version is ever live
+     */
+    async supersedePreviousVersions(amendment, actor = 'manual') {
+        for (const { before, after } of this.getSupersessions(amendment)) {
+            await this.db.updateRule(after);
+            await this.logRuleEvent('superseded', before, after, actor);
+        }
+    }
+
+    /**
+     * Rules a rule replaces once it is active: earlier versions of an amendment,
+     * and every version of the rules it is linked as replacing
+     * @returns {Array<Object>} { before, after } per version, without saving anything
+     */
+    getSupersessions(rule) {
+        const chain = this.getAmendmentChain(rule);
+        const earlierVersions = chain.filter(r => r.amendmentNumber < (rule.amendmentNumber || 0));
+        const replaced = this.getRelations(rule, 'replaces')
+            .map(rel => this.rules.find(r => r.id === rel.ruleId))
+            .filter(Boolean)
+            .flatMap(target => this.getAmendmentChain(target))
+            .filter(r => !chain.includes(r));
+
+        return [...new Set([...earlierVersions, ...replaced])]
+            .filter(r => r.status === 'active' || r.status === 'passed')
+            .map(previous => ({
+                before: { ...previous },
+                after: {
+                    ...previous,
+                    status: 'superseded',
+                    supersededBy: rule.id,
+                    supersededDate: new Date().toISOString(),
+                    updatedAt: new Date().toISOString()
+                }
+            }));
+    }
+
+    /**
+     * Archive a rule
+     */
+    async archiveRule(ruleId) {
+        try {
+            const snapshot = this.takeSnapshot();
+            const rule = this.rules.find(r => r.id === ruleId);
+            if (!rule) return;
+
+            if (rule.status !== 'rejected' && rule.status !== 'expired' && rule.status !== 'superseded') {
+                this.showError('Only rejected, expired or superseded rules can be archived.');
+                return;
+            }
+
+            if (this.needsEvaluation(rule)) {
+                this.showError('File a hypothesis evaluation before archiving this rule.');
+                return;
+            }
+
+            const before = { ...rule };
+            rule.isArchived = true;
+            rule.updatedAt = new Date().toISOString();
+
+            await this.db.updateRule(rule);
+            await this.logRuleEvent('archived', before, rule);
+            await this.loadRules();
+            this.recordHistory(`Archive ${rule.id}`, snapshot);
+            
+            this.showSuccess(`Rule "${rule.title}" has been archived.`);
+            this.renderView(this.currentView);
+        } catch (error) {
+            console.error('Failed to archive rule:', error);
+            this.showError('Failed to archive rule. Please try again.');
+        }
+    }
+
+    // ============================================
+    // SELECTION & BATCH ACTIONS
+    // ============================================
+
+    /**
+     * Batch actions offered while selecting rules in a view
+     */
+    getBatchActions(viewName) {
+        switch (viewName) {
+            case 'proposed':
+                return [
+                    { action: 'pass', label: 'Pass', style: 'btn-success' },
+                    { action: 'reject', label: 'Reject', style: 'btn-danger' }
+                ];
+            case 'active':
+                return [
+                    { action: 'move', label: 'Move to System', style: 'btn-secondary' }
+                ];
+            case 'archives':
+                return [
+                    { action: 'archive', label: 'Archive', style: 'btn-secondary' },
+                    { action: 'unarchive', label: 'Unarchive', style: 'btn-secondary' },
+                    { action: 'delete', label: 'Delete', style: 'btn-danger' }
+                ];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Whether rules are being selected in the given view
+     */
+    isSelecting(viewName) {
+        return !!this.selection && this.selection.view === viewName;
+    }
+
+    /**
+     * Add the Select / batch action toolbar above a list view's rule cards
+     */
+    renderSelectionToolbar(viewName) {
+        const container = document.getElementById('app-container');
+        const actions = this.getBatchActions(viewName);
+        const cards = [...container.querySelectorAll('.rule-card[data-id]')];
+        const selecting = this.isSelecting(viewName);
+
+        container.classList.toggle('selecting', selecting);
+        if (actions.length === 0 || cards.length === 0) return;
+
+        // Drop selected rules that are no longer listed
+        const visibleIds = cards.map(card => card.dataset.id);
+        if (selecting) {
+            this.selection.ids = new Set(visibleIds.filter(id => this.selection.ids.has(id)));
+            cards.forEach(card => card.classList.toggle('selected', this.selection.ids.has(card.dataset.id)));
+        }
+
+        const count = selecting ? this.selection.ids.size : 0;
+        const allSelected = count === visibleIds.length;
+
+        container.insertAdjacentHTML('afterbegin', `
+            <div class="selection-toolbar">
+                ${selecting ? `
+                    <span class="selection-count">${count} selected</span>
+                    <button class="btn btn-secondary btn-small" data-selection="${allSelected ? 'none' : 'all'}">${allSelected ? 'Select None' : 'Select All'}</button>
+                    ${actions.map(({ action, label, style }) => `
+                        <button class="btn ${style} btn-small" data-batch="${action}" ${count === 0 ? 'disabled' : ''}>${label}</button>
+                    `).join('')}
+                    <button class="btn btn-secondary btn-small" data-selection="done">Done</button>
+                ` : `
+                    <button class="btn btn-secondary btn-small" data-selection="start">Select</button>
+                `}
+            </div>
+        `);
+
+        container.querySelectorAll('[data-selection]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                switch (e.currentTarget.dataset.selection) {
+                    case 'start':
+                        this.selection = { view: viewName, ids: new Set() };
+                        break;
+                    case 'all':
+                        this.selection.ids = new Set(visibleIds);
+                        break;
+                    case 'none':
+                        this.selection.ids.clear();
+                        break;
+                    case 'done':
+                        this.selection = null;
+                        break;
+                }
+                this.renderView(viewName);
+            });
+        });
+
+        container.querySelectorAll('[data-batch]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.startBatch(e.currentTarget.dataset.batch, [...this.selection.ids]);
+            });
+        });
+    }
+
+    /**
+     * Select or deselect a rule card
+     */
+    toggleSelection(ruleId) {
+        const { ids } = this.selection;
+        if (ids.has(ruleId)) {
+            ids.delete(ruleId);
+        } else {
+            ids.add(ruleId);
+        }
+        this.renderView(this.currentView);
+    }
+
+    /**
+     * Ask for whatever a batch action needs (effective date, target, confirmation), then run it
+     */
+    async startBatch(action, ruleIds) {
+        if (ruleIds.length === 0) return;
+        const count = `${ruleIds.length} ${ruleIds.length === 1 ? 'rule' : 'rules'}`;
+
+        switch (action) {
+            case 'pass':
+                await this.showPassDialog(ruleIds);
+                break;
+            case 'move':
+                this.showMoveRulesDialog(ruleIds);
+                break;
+            case 'reject':
+                if (confirm(`Are you sure you want to reject ${count}?`)) {
+                    await this.runBatch('reject', ruleIds);
+                }
+                break;
+            default:
+                await this.runBatch(action, ruleIds);
+        }
+    }
+
+    /**
+     * Reason a batch action doesn't apply to a rule, or null
+     */
+    getBatchBlocker(action, rule) {
+        switch (action) {
+            case 'pass':
+                if (rule.status !== 'proposed') return 'not proposed';
+                return this.getPassBlocker(rule);
+            case 'reject':
+                return rule.status === 'proposed' ? null : 'not proposed';
+            case 'archive':
+                if (rule.isArchived) return 'already archived';
+                if (this.needsEvaluation(rule)) return 'needs a hypothesis evaluation';
+                return this.canArchive(rule) ? null : 'not rejected, expired or superseded';
+            case 'unarchive':
+                return rule.isArchived ? null : 'not archived';
+            case 'delete':
+                if (rule.status === 'active' || rule.status === 'passed') return 'still in force';
+                return this.getTrashGroup(rule).some(r => r.status === 'active' || r.status === 'passed')
+                    ? 'has an amendment in force'
+                    : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Apply one action to several rules in a single transaction
+     * Rules the action doesn't apply to are skipped and listed in the summary.
+     * @param {string} action - 'pass', 'reject', 'archive', 'unarchive' or 'delete'
+     * @param {Array<string>} ruleIds - Selected rules
+     * @param {Object} options - { effectiveDate, effectiveDateType } when passing
+     */
+    async runBatch(action, ruleIds, options = {}) {
+        const labels = {
+            pass: 'Passed',
+            reject: 'Rejected',
+            archive: 'Archived',
+            unarchive: 'Unarchived',
+            delete: 'Deleted'
+        };
+        const eventTypes = {
+            pass: 'passed',
+            reject: 'rejected',
+            archive: 'archived',
+            unarchive: 'unarchived',
+            delete: 'deleted'
+        };
+
+        try {
+            const snapshot = this.takeSnapshot();
+            const batch = { put: [], remove: [], events: [] };
+            const trashEntries = [];
+            const applied = [];
+            const skipped = [];
+            const passedChains = new Set();
+            const now = new Date().toISOString();
+            let command = null;
+
+            for (const ruleId of ruleIds) {
+                const rule = this.rules.find(r => r.id === ruleId);
+                if (!rule) continue;
+
+                const blocker = this.getBatchBlocker(action, rule);
+                if (blocker) {
+                    skipped.push(`${rule.id}: ${blocker}`);
+                    continue;
+                }
+
+                if (action === 'delete') {
+                    // A base rule takes its amendments along, unless they're already in the batch
+                    const group = this.getTrashGroup(rule).filter(r => !batch.remove.includes(r.id));
+                    if (group.length === 0) continue;
+
+                    const groupIds = group.map(r => r.id);
+                    trashEntries.push({
+                        id: rule.id,
+                        rules: group,
+                        checkins: this.checkins.filter(c => groupIds.includes(c.ruleId)),
+                        deletedAt: now
+                    });
+                    batch.remove.push(...groupIds);
+                    group.forEach(r => batch.events.push(this.buildRuleEvent(eventTypes.delete, r, null)));
+                    applied.push(rule.id);
+                    continue;
+                }
+
+                let after;
+                if (action === 'pass') {
+                    // Supersessions are worked out from the saved rules, not the batch, so two
+                    // passes touching one chain (its own versions, or a rule it replaces) would both go live
+                    const chainKeys = [rule, ...this.getRelations(rule, 'replaces').map(rel => this.rules.find(r => r.id === rel.ruleId))]
+                        .filter(Boolean)
+                        .map(r => r.baseRuleId || r.id);
+                    if (chainKeys.some(key => passedChains.has(key))) {
+                        skipped.push(`${rule.id}: another version of this rule, or of a rule it replaces, is in the batch`);
+                        continue;
+                    }
+                    chainKeys.forEach(key => passedChains.add(key));
+
+                    after = this.buildPassedRule(rule, options.effectiveDate, options.effectiveDateType);
+                } else if (action === 'reject') {
+                    after = { ...rule, status: 'rejected', updatedAt: now };
+                } else {
+                    after = { ...rule, isArchived: action === 'archive', updatedAt: now };
+                }
+
+                batch.put.push(after);
+                batch.events.push(this.buildRuleEvent(eventTypes[action], rule, after));
+                applied.push(rule.id);
+
+                if (action === 'pass' && after.status === 'active') {
+                    batch.events.push(this.buildRuleEvent('activated', { ...after, status: 'passed' }, after));
+                    for (const supersession of this.getSupersessions(after)) {
+                        batch.put.push(supersession.after);
+                        batch.events.push(this.buildRuleEvent('superseded', supersession.before, supersession.after));
+                    }
+                }
+            }
+
+            if (applied.length > 0) {
+                if (action === 'delete') {
+                    await this.db.moveToTrash(trashEntries, batch.events);
+                } else {
+                    await this.db.applyRuleBatch(batch);
+                }
+                await this.loadRules();
+                const verb = { pass: 'Pass', reject: 'Reject', archive: 'Archive', unarchive: 'Unarchive', delete: 'Delete' }[action];
+                command = this.recordHistory(applied.length === 1 ? `${verb} ${applied[0]}` : `${verb} ${applied.length} rules`, snapshot);
+                this.selection = null;
+                this.renderView(this.currentView);
+            }
+
+            const summary = [];
+            if (applied.length > 0) {
+                summary.push(`${labels[action]} ${applied.length} ${applied.length === 1 ? 'rule' : 'rules'}`);
+            }
+            if (skipped.length > 0) {
+                summary.push(`skipped ${skipped.length} (${skipped.join('; ')})`);
+            }
+
+            if (applied.length > 0 && action === 'delete') {
+                this.showSuccess(`${summary.join(' · ')} — moved to the trash`, {
+                    label: 'Undo',
+                    onClick: () => this.undo(command)
+                });
+            } else if (applied.length > 0) {
+                this.showSuccess(summary.join(' · '));
+            } else {
+                this.showError(`Nothing to do: ${summary.join(' · ')}`);
+            }
+        } catch (error) {
+            console.error(`Failed to run batch ${action}:`, error);
+            this.showError('Failed to update the selected rules. Nothing was changed.');
+        }
+    }
+
+    /**
+     * Render a rule card
+     */
+    renderRuleCard(rule) {
+        const adherence = this.getAdherence(rule.id);
+        const todayCheckin = this.getCheckin(rule.id, this.toDateKey(new Date()));
+
+        return `
+            <div class="rule-card" data-action="view-detail" data-id="${this.escapeHtml(rule.id)}">
+                <div class="rule-header">
+                    <div class="rule-id">${this.escapeHtml(rule.id)}</div>
+                    <div class="rule-status status-${rule.status}">${this.formatStatus(rule.status)}</div>
+                </div>
+                <div class="rule-title">${this.escapeHtml(rule.title)}</div>
+                ${rule.schedule ? `<div class="rule-meta"><strong>Schedule:</strong> ${this.escapeHtml(this.formatSchedule(rule.schedule))}</div>` : ''}
+                <div class="rule-meta"><strong>Expires:</strong> ${rule.expirationDate ? this.formatDate(new Date(rule.expirationDate)) : 'Indefinite'}</div>
+                ${rule.status === 'active' || adherence.total > 0 ? `
+                    <div class="rule-meta"><strong>Adherence:</strong> ${this.formatAdherence(adherence)}</div>
+                ` : ''}
+                ${rule.status === 'active' || rule.status === 'passed' ? this.getRelationWarnings(rule).map(text => `
+                    <div class="relation-warning">⚠ ${this.escapeHtml(text)}</div>
+                `).join('') : ''}
+                ${rule.status === 'active' && (todayCheckin || this.isScheduledOn(rule, new Date())) ? `
+                    <div class="checkin-buttons">
+                        ${this.renderCheckinButtons(rule.id, todayCheckin)}
+                    </div>
+                ` : ''}
+                ${rule.status === 'active' && !todayCheckin && !this.isScheduledOn(rule, new Date()) ? `
+                    <div class="rule-meta">Not scheduled today</div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render kept/broken/skipped buttons for a rule, highlighting the recorded outcome
+     */
+    renderCheckinButtons(ruleId, checkin) {
+        const outcomes = [
+            { value: 'kept', label: '✓ Kept' },
+            { value: 'broken', label: '✗ Broken' },
+            { value: 'skipped', label: '– Skipped' }
+        ];
+
+        return outcomes.map(({ value, label }) => `
+            <button class="btn btn-small checkin-btn checkin-${value} ${checkin && checkin.outcome === value ? 'selected' : ''}"
+                    data-action="checkin" data-id="${this.escapeHtml(ruleId)}" data-outcome="${value}">${label}</button>
+        `).join('');
+    }
+
+    /**
+     * Attach rule list listeners
+     */
+    attachRuleListListeners() {
+        document.querySelectorAll('[data-action="view-detail"]').forEach(card => {
+            card.addEventListener('click', (e) => {
+                const ruleId = e.currentTarget.dataset.id;
+                this.showRuleDetail(ruleId);
+            });
+        });
+
+        // Today's check-in buttons on active rule cards
+        document.querySelectorAll('[data-action="checkin"]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation(); // don't open the detail view
+                const { id, outcome } = e.currentTarget.dataset;
+                await this.recordCheckin(id, this.toDateKey(new Date()), outcome);
+                this.renderView(this.currentView);
+            });
+        });
+    }
+
+    /**
+     * Record a kept/broken/skipped check-in for a rule on a given day
+     */
+    async recordCheckin(ruleId, date, outcome) {
+        try {
+            const rule = this.rules.find(r => r.id === ruleId);
+            if (!rule || rule.status !== 'active') {
+                throw new Error('Only active rules can be checked in');
+            }
+
+            if (date > this.toDateKey(new Date())) {
+                this.showError('Cannot check in for a future date.');
+                return;
+            }
+
+            if (rule.effectiveDate && date < this.toDateKey(new Date(rule.effectiveDate))) {
+                this.showError('Cannot check in before the rule took effect.');
+                return;
+            }
+
+            await this.db.saveCheckin({ ruleId, date, outcome });
+            await this.loadRules();
+
+            this.showSuccess(`Marked "${rule.title}" as ${outcome} for ${this.formatDate(this.fromDateKey(date))}.`);
+        } catch (error) {
+            console.error('Failed to record check-in:', error);
+            this.showError('Failed to record check-in. Please try again.');
+        }
+    }
+
+    /**
+     * Get the check-in recorded for a rule on a given day, if any
+     */
+    getCheckin(ruleId, date) {
+        return this.checkins.find(c => c.ruleId === ruleId && c.date === date) || null;
+    }
+
+    /**
+     * Compute adherence statistics for a rule from its check-ins
+     * Skipped days count toward neither the percentage nor a streak break;
+     * a broken day or a day with no check-in ends the current streak.
+     */
+    getAdherence(ruleId) {
+        const checkins = this.checkins
+            .filter(c => c.ruleId === ruleId)
+            .sort((a, b) => a.date.localeCompare(b.date));
+        const byDate = new Map(checkins.map(c => [c.date, c.outcome]));
+
+        const kept = checkins.filter(c => c.outcome === 'kept').length;
+        const broken = checkins.filter(c => c.outcome === 'broken').length;
+        const skipped = checkins.filter(c => c.outcome === 'skipped').length;
+        const counted = kept + broken;
+
+        // Days the rule doesn't apply on never break a streak
+        const rule = this.rules.find(r => r.id === ruleId);
+        const isScheduled = (date) => !rule || this.isScheduledOn(rule, date);
+
+        // Current streak: walk back from today (or yesterday, if today isn't checked in yet)
+        let currentStreak = 0;
+        const cursor = new Date();
+        cursor.setHours(0, 0, 0, 0);
+        if (!byDate.has(this.toDateKey(cursor))) {
+            cursor.setDate(cursor.getDate() - 1);
+        }
+        while (checkins.length > 0 && this.toDateKey(cursor) >= checkins[0].date) {
+            const outcome = byDate.get(this.toDateKey(cursor));
+            if (outcome === 'kept') {
+                currentStreak++;
+            } else if (outcome !== 'skipped' && (outcome || isScheduled(cursor))) {
+                break;
+            }
+            cursor.setDate(cursor.getDate() - 1);
+        }
+
+        // Best streak: longest run of kept days, allowing skipped and unscheduled days in between
+        let bestStreak = 0;
+        let run = 0;
+        let previousDate = null;
+        for (const checkin of checkins) {
+            const date = this.fromDateKey(checkin.date);
+            if (previousDate) {
+                const between = new Date(previousDate);
+                between.setDate(between.getDate() + 1);
+                while (between < date) {
+                    if (isScheduled(between)) {
+                        run = 0;
+                        break;
+                    }
+                    between.setDate(between.getDate() + 1);
+                }
+            }
+            if (checkin.outcome === 'kept') {
+                run++;
+                bestStreak = Math.max(bestStreak, run);
+            } else if (checkin.outcome === 'broken') {
+                run = 0;
+            }
+            previousDate = date;
+        }
+
+        return {
+            kept,
+            broken,
+            skipped,
+            total: checkins.length,
+            percentage: counted > 0 ? Math.round((kept / counted) * 100) : null,
+            currentStreak,
+            bestStreak,
+            checkins
+        };
+    }
+
+    /**
+     * Format adherence stats as a one-line summary
+     */
+    formatAdherence(adherence) {
+        if (adherence.total === 0) {
+            return 'No check-ins yet';
+        }
+        const percentage = adherence.percentage === null ? '—' : `${adherence.percentage}%`;
+        return `${percentage} kept · 🔥 ${adherence.currentStreak} day streak`;
+    }
+
+    /**
+     * Local calendar date as YYYY-MM-DD (check-ins are keyed per local day)
+     */
+    toDateKey(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Parse a YYYY-MM-DD key back into a local Date
+     */
+    fromDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(n => parseInt(n, 10));
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Daily status check to activate/expire rules
+     * @returns {Promise<Object>} { activated, expired } rule ids that changed
+     */
+    async dailyStatusCheck() {
+        try {
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+            const changes = { activated: [], expired: [], flagged: [] };
+
+            // Activate passed rules whose effective date has arrived
+            const passedRules = this.rules.filter(r => r.status === 'passed');
+            for (const rule of passedRules) {
+                const effectiveDate = new Date(rule.effectiveDate);
+                effectiveDate.setHours(0, 0, 0, 0);
+                
+                if (effectiveDate <= today) {
+                    const before = { ...rule };
+                    rule.status = 'active';
+                    rule.updatedAt = new Date().toISOString();
+                    await this.db.updateRule(rule);
+                    await this.logRuleEvent('activated', before, rule, 'dailyStatusCheck');
+                    await this.supersedePreviousVersions(rule, 'dailyStatusCheck');
+                    changes.activated.push(rule.id);
+                }
+            }
+
+            // Expire active rules whose expiration date has passed
+            const activeRules = this.rules.filter(r => r.status === 'active');
+            for (const rule of activeRules) {
+                if (!rule.expirationDate) continue; // indefinite rules never expire
+
+                const expirationDate = new Date(rule.expirationDate);
+                expirationDate.setHours(0, 0, 0, 0);
+                
+                if (expirationDate < today) {
+                    const before = { ...rule };
+                    rule.status = 'expired';
+                    rule.updatedAt = new Date().toISOString();
+                    await this.db.updateRule(rule);
+                    await this.logRuleEvent('expired', before, rule, 'dailyStatusCheck');
+                    changes.expired.push(rule.id);
+                }
+            }
+
+            // Flag rules whose prerequisite just expired
+            for (const { rule, prerequisiteId } of this.getLapsedDependents(changes.expired)) {
+                await this.logRuleEvent('flagged',
+                    { id: rule.id, lapsedPrerequisite: null },
+                    { id: rule.id, lapsedPrerequisite: prerequisiteId },
+                    'dailyStatusCheck');
+                changes.flagged.push(rule.id);
+            }
+
+            if (changes.activated.length > 0 || changes.expired.length > 0) {
+                await this.loadRules();
+            }
+            return changes;
+        } catch (error) {
+            console.error('Daily status check failed:', error);
+            return { activated: [], expired: [], flagged: [] };
+        }
+    }
+
+    /**
+     * Rerun the daily status check while the app is open and show what changed
+     * Runs at local midnight and whenever the app becomes visible again
+     */
+    async refreshStatuses() {
+        if (this.refreshingStatuses || !this.db) return;
+        this.refreshingStatuses = true;
+
+        try {
+            const { activated, expired, flagged } = await this.dailyStatusCheck();
+
+            if (activated.length > 0 || expired.length > 0) {
+                // Leave forms and dialogs alone; the change shows on the next render
+                if (!document.querySelector('#app-container form, .modal')) {
+                    this.currentRoute = null;
+                    this.applyRoute();
+                }
+
+                const describe = (ids, verb) => `${ids.length} ${ids.length === 1 ? 'rule' : 'rules'} ${verb} (${ids.join(', ')})`;
+                this.showToast([
+                    activated.length > 0 ? describe(activated, 'took effect') : null,
+                    expired.length > 0 ? describe(expired, 'expired') : null,
+                    flagged.length > 0 ? describe(flagged, 'lost a prerequisite') : null
+                ].filter(Boolean).join(' · '));
+            }
+
+            await this.checkNotifications();
+            await this.purgeExpiredTrash();
+        } finally {
+            this.refreshingStatuses = false;
+            this.scheduleMidnightCheck();
+        }
+    }
+
+    /**
+     * Schedule a status refresh just after the next local midnight
+     * Timers don't run while the device sleeps; visibility and focus
+     * changes catch up in that case.
+     */
+    scheduleMidnightCheck() {
+        clearTimeout(this.midnightTimer);
+
+        const nextMidnight = new Date();
+        nextMidnight.setHours(24, 0, 1, 0);
+        this.midnightTimer = setTimeout(() => this.refreshStatuses(), nextMidnight - new Date());
+    }
+
+    /**
+     * Notification settings, with defaults for anything not saved yet
+     */
+    async getNotificationSettings() {
+        const saved = await this.db.getSetting('notifications', {});
+        return {
+            enabled: false,
+            expiryWindowDays: 3,
+            staleProposalDays: 7,
+            ...saved
+        };
+    }
+
+    /**
+     * Whether this browser can show notifications through the service worker
+     */
+    notificationsSupported() {
+        return 'Notification' in window && 'serviceWorker' in navigator;
+    }
+
+    /**
+     * Show notification settings dialog
+     */
+    async showNotificationSettingsDialog() {
+        const settings = await this.getNotificationSettings();
+        const supported = this.notificationsSupported();
+        const blocked = supported && Notification.permission === 'denied';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Notifications</h3>
+                ${!supported ? `
+                    <p style="color: #888; margin-bottom: 20px; font-size: 13px;">This browser can't show notifications. On phones, install the app to your home screen first.</p>
+                ` : blocked ? `
+                    <p style="color: #fca5a5; margin-bottom: 20px; font-size: 13px;">Notifications are blocked for this site. Allow them in your browser's site settings, then enable them here.</p>
+                ` : ''}
+                <form id="notificationSettingsForm">
+                    <div class="form-group">
+                        <label class="form-radio" style="margin-top: 0;">
+                            <input type="checkbox" id="notificationsEnabled" ${settings.enabled ? 'checked' : ''} ${supported ? '' : 'disabled'}>
+                            Notify me on this device
+                        </label>
+                        <div class="form-help">Rules taking effect today, rules about to expire and proposals waiting for a decision. Each is announced once.</div>
+                    </div>
+
+                    <div class="form-group">
+                        <label class="form-label">Expiration warning (days ahead)</label>
+                        <input type="number" class="form-input" id="expiryWindowDays" min="0" max="90" value="${settings.expiryWindowDays}">
+                    </div>
+
+                    <div class="form-group">
+                        <label class="form-label">Remind me about proposals older than (days)</label>
+                        <input type="number" class="form-input" id="staleProposalDays" min="1" max="365" value="${settings.staleProposalDays}">
+                    </div>
+
+                    <div class="action-buttons">
+                        <button type="submit" class="btn btn-primary">Save</button>
+                        <button type="button" class="btn btn-secondary" id="cancelNotificationSettings">Cancel</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('notificationSettingsForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const expiryWindowDays = parseInt(document.getElementById('expiryWindowDays').value, 10);
+            const staleProposalDays = parseInt(document.getElementById('staleProposalDays').value, 10);
+            let enabled = document.getElementById('notificationsEnabled').checked;
+
+            if (isNaN(expiryWindowDays) || expiryWindowDays < 0 || isNaN(staleProposalDays) || staleProposalDays < 1) {
+                alert('Please enter a valid number of days');
+                return;
+            }
+
+            try {
+                if (enabled && Notification.permission !== 'granted') {
+                    const permission = await Notification.requestPermission();
+                    if (permission !== 'granted') {
+                        this.showError('Notifications were not allowed, so they stay off.');
+                        enabled = false;
+                    }
                 }
+
+                await this.db.saveSetting('notifications', { enabled, expiryWindowDays, staleProposalDays });
+                document.body.removeChild(modal);
+                if (enabled) {
+                    this.showSuccess('Notifications are on.');
+                    await this.checkNotifications();
+                }
+            } catch (error) {
+                console.error('Failed to save notification settings:', error);
+                this.showError('Failed to save notification settings. Please try again.');
+            }
+        });
+
+        document.getElementById('cancelNotificationSettings').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+    }
+
+    /**
+     * Work out which notifications are due right now
+     * Each id names the event it announces, so it can be shown only once
+     * @returns {Promise<Array>} { id, kind, ruleId, title, body }
+     */
+    async getDueNotifications(settings) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const todayKey = this.toDateKey(today);
+        const dayMs = 1000 * 60 * 60 * 24;
+        const due = [];
+
+        // Rules that took effect today
+        this.rules
+            .filter(r => r.status === 'active' && !r.isArchived && r.effectiveDate && this.toDateKey(new Date(r.effectiveDate)) === todayKey)
+            .forEach(rule => due.push({
+                id: `${rule.id}:activated`,
+                kind: 'activated',
+                ruleId: rule.id,
+                title: `${rule.id} takes effect today`,
+                body: rule.title
+            }));
+
+        // Rules expiring within the warning window; a new expiration date is announced again
+        const expiring = await this.db.getRulesExpiringSoon(settings.expiryWindowDays);
+        expiring.filter(r => !r.isArchived).forEach(rule => {
+            const expiration = new Date(rule.expirationDate);
+            expiration.setHours(0, 0, 0, 0);
+            const daysLeft = Math.round((expiration - today) / dayMs);
+            due.push({
+                id: `${rule.id}:expiring:${this.toDateKey(expiration)}`,
+                kind: 'expiring',
+                ruleId: rule.id,
+                title: daysLeft === 0 ? `${rule.id} expires today` : `${rule.id} expires in ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'}`,
+                body: rule.title
             });
         });
 
-        // Sunset clause type toggle
-        const sunsetRadios = form.querySelectorAll('input[name="sunsetType"]');
-        sunsetRadios.forEach(radio => {
-            radio.addEventListener('change', (e) => {
-                const customSunsetGroup = document.getElementById('customSunsetGroup');
-                customSunsetGroup.style.display = e.target.value === 'custom' ? 'block' : 'none';
-            });
-        });
+        // Proposals waiting too long for a decision
+        this.rules
+            .filter(r => r.status === 'proposed' && !r.isArchived && (today - new Date(r.createdAt)) / dayMs >= settings.staleProposalDays)
+            .forEach(rule => due.push({
+                id: `${rule.id}:stale`,
+                kind: 'stale',
+                ruleId: rule.id,
+                title: `${rule.id} is waiting for a decision`,
+                body: `${rule.title} — proposed ${this.formatDate(new Date(rule.createdAt))}`
+            }));
+
+        return due;
+    }
+
+    /**
+     * Show any due notifications that haven't been shown before
+     */
+    async checkNotifications() {
+        try {
+            if (!this.notificationsSupported() || Notification.permission !== 'granted') return;
+
+            const settings = await this.getNotificationSettings();
+            if (!settings.enabled) return;
+
+            const sent = new Set((await this.db.getSentNotifications()).map(n => n.id));
+            const fresh = (await this.getDueNotifications(settings)).filter(n => !sent.has(n.id));
+            if (fresh.length === 0) return;
+
+            // `ready` never settles when registration failed, which would stall the status refresh
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (!registration || !registration.active) {
+                console.log('No active service worker; notifications not shown');
+                return;
+            }
+            for (const notification of fresh) {
+                await registration.showNotification(notification.title, {
+                    body: notification.body,
+                    tag: notification.id,
+                    icon: 'icon-192.png',
+                    data: { route: `#/rule/${encodeURIComponent(notification.ruleId)}` }
+                });
+                await this.db.saveSentNotification({ id: notification.id, ruleId: notification.ruleId, kind: notification.kind });
+            }
+        } catch (error) {
+            console.error('Failed to show notifications:', error);
+        }
+    }
+
+    /**
+     * Append a lifecycle event for a rule to the audit trail
+     * Only the fields that changed are stored in before/after; creations and
+     * deletions store the whole record on the side that exists.
+     * @param {string} type - created, edited, passed, activated, expired, rejected, ...
+     * @param {Object|null} before - Snapshot of the rule before the transition
+     * @param {Object|null} after - The rule after the transition
+     * @param {string} actor - 'manual' or 'dailyStatusCheck'
+     */
+    async logRuleEvent(type, before, after, actor = 'manual') {
+        try {
+            await this.db.addEvent(this.buildRuleEvent(type, before, after, actor));
+        } catch (error) {
+            // The transition itself already succeeded; don't fail it over the log
+            console.error('Failed to record rule event:', error);
+        }
+    }
+
+    /**
+     * Build an audit trail event without saving it (see logRuleEvent)
+     */
+    buildRuleEvent(type, before, after, actor = 'manual') {
+        const event = {
+            ruleId: (after || before).id,
+            type,
+            actor,
+            timestamp: new Date().toISOString(),
+            before: before ? { ...before } : null,
+            after: after ? { ...after } : null
+        };
+
+        if (before && after) {
+            event.before = {};
+            event.after = {};
+            const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+            fields.delete('updatedAt');
+            for (const field of fields) {
+                if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+                    event.before[field] = before[field] ?? null;
+                    event.after[field] = after[field] ?? null;
+                }
+            }
+        }
+
+        return event;
+    }
+
+    /**
+     * Get the date a rule entered its current status
+     * Prefers the audit trail over updatedAt, which any later edit overwrites
+     */
+    getStatusDate(rule) {
+        if (rule.status === 'expired' && rule.expirationDate) {
+            return new Date(rule.expirationDate);
+        }
+
+        const transition = this.events
+            .filter(e => e.ruleId === rule.id && e.after && e.after.status === rule.status)
+            .pop();
+        if (transition) {
+            return new Date(transition.timestamp);
+        }
+
+        return new Date(rule.status === 'superseded' && rule.supersededDate ? rule.supersededDate : rule.updatedAt);
+    }
+
+    /**
+     * Render the audit trail of a rule as a timeline, newest first
+     */
+    renderEventTimeline(ruleId) {
+        const events = this.events.filter(e => e.ruleId === ruleId).reverse();
+        if (events.length === 0) {
+            return '<div class="detail-value" style="font-size: 13px; color: #888;">No recorded history.</div>';
+        }
+
+        return events.map(event => {
+            const showChanges = !['created', 'deleted', 'restored', 'purged'].includes(event.type);
+            const changes = showChanges ? Object.keys(event.after || {}) : [];
+            const time = new Date(event.timestamp);
+
+            return `
+                <div class="event-row">
+                    <div class="event-header">
+                        <span class="event-type">${this.escapeHtml(event.type.charAt(0).toUpperCase() + event.type.slice(1))}</span>
+                        <span class="event-time">${this.formatDate(time)} ${time.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}</span>
+                    </div>
+                    <div class="event-actor">${event.actor === 'dailyStatusCheck' ? 'Automatic (daily status check)' : event.actor === 'trashRetention' ? 'Automatic (trash retention)' : 'Manual'}</div>
+                    ${changes.map(field => `
+                        <div class="event-change">
+                            <span class="event-field">${this.escapeHtml(field.replace(/([A-Z])/g, ' $1').toLowerCase())}:</span>
+                            ${this.escapeHtml(this.formatEventValue(event.before[field]))} → ${this.escapeHtml(this.formatEventValue(event.after[field]))}
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Format a field value recorded in the audit trail for display
+     */
+    formatEventValue(value) {
+        if (value === null || value === undefined || value === '') {
+            return '—';
+        }
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+            return this.formatDate(new Date(value));
+        }
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return text.length > 60 ? `${text.substring(0, 60)}...` : text;
+    }
+
+    /**
+     * Format status for display
+     */
+    formatStatus(status) {
+        const statusMap = {
+            'proposed': 'Proposed',
+            'passed': 'Passed',
+            'active': 'Active',
+            'expired': 'Expired',
+            'rejected': 'Rejected',
+            'superseded': 'Superseded'
+        };
+        return statusMap[status] || status;
+    }
+
+    /**
+     * Format date for display
+     */
+    formatDate(date) {
+        return date.toLocaleDateString('en-US', { 
+            month: 'short', 
+            day: 'numeric', 
+            year: 'numeric' 
+        });
+    }
+
+    /**
+     * Escape text for use in HTML content and attribute values
+     */
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Render rule text (clause, success metrics, body) as HTML
+     * Markdown is only interpreted for rules that opt in; plain text keeps its line breaks
+     */
+    renderRuleText(text, rule = null) {
+        if (rule && rule.markdown) {
+            return `<div class="rule-text markdown">${this.renderMarkdown(text)}</div>`;
+        }
+        return `<div class="rule-text">${this.escapeHtml(text)}</div>`;
+    }
+
+    /**
+     * Render a small, safe subset of Markdown: paragraphs, headings, lists,
+     * emphasis, inline code and links. Anything else is shown as text.
+     */
+    renderMarkdown(text) {
+        const blocks = [];
+        let paragraph = [];
+        let list = null;
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                blocks.push(`<p>${paragraph.map(line => this.renderInlineMarkdown(line)).join('<br>')}</p>`);
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (list) {
+                blocks.push(`<${list.tag}>${list.items.map(item => `<li>${this.renderInlineMarkdown(item)}</li>`).join('')}</${list.tag}>`);
+                list = null;
+            }
+        };
+
+        String(text || '').split(/\r?\n/).forEach(line => {
+            const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+            const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+            const heading = line.match(/^\s*#{1,6}\s+(.*)$/);
+
+            if (bullet || numbered) {
+                const tag = bullet ? 'ul' : 'ol';
+                flushParagraph();
+                if (list && list.tag !== tag) flushList();
+                if (!list) list = { tag, items: [] };
+                list.items.push((bullet || numbered)[1]);
+            } else if (heading) {
+                flushParagraph();
+                flushList();
+                blocks.push(`<h4>${this.renderInlineMarkdown(heading[1])}</h4>`);
+            } else if (!line.trim()) {
+                flushParagraph();
+                flushList();
+            } else {
+                flushList();
+                paragraph.push(line.trim());
+            }
+        });
+        flushParagraph();
+        flushList();
+
+        return blocks.join('');
+    }
+
+    /**
+     * Render inline Markdown within a single line
+     * Text is escaped before any markup is added, so only tags produced here reach the page
+     */
+    renderInlineMarkdown(text) {
+        const emphasize = (escaped) => escaped
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|\W)__([^_]+)__(?=\W|$)/g, '$1<strong>$2</strong>')
+            .replace(/\*([^*\s][^*]*)\*/g, '<em>$1</em>')
+            .replace(/(^|\W)_([^_\s][^_]*)_(?=\W|$)/g, '$1<em>$2</em>');
+
+        // Code spans and links are split out first so their contents aren't emphasized
+        return text.split(/(`[^`]+`|\[[^\]]+\]\([^)\s]+\))/).map(part => {
+            if (/^`[^`]+`$/.test(part)) {
+                return `<code>${this.escapeHtml(part.slice(1, -1))}</code>`;
+            }
+
+            const link = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+            if (link) {
+                const label = emphasize(this.escapeHtml(link[1]));
+                const href = this.sanitizeUrl(link[2]);
+                if (!href) return label;
+                const external = !href.startsWith('#');
+                return `<a href="${this.escapeHtml(href)}"${external ? ' target="_blank" rel="noopener noreferrer"' : ''}>${label}</a>`;
+            }
+
+            return emphasize(this.escapeHtml(part));
+        }).join('');
+    }
+
+    /**
+     * Allow only web, email and in-app (#/...) links
+     * @returns {string|null} The URL, or null when it isn't allowed
+     */
+    sanitizeUrl(url) {
+        const trimmed = url.trim();
+        return /^(https?:\/\/|mailto:|#\/)/i.test(trimmed) ? trimmed : null;
+    }
+
+    /**
+     * Show export options (plain or passphrase-encrypted backup)
+     */
+    showExportDialog() {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Export Backup</h3>
+                <form id="exportForm">
+                    <div class="form-group">
+                        <label class="form-radio" style="margin-top: 0;">
+                            <input type="checkbox" id="encryptBackup">
+                            Encrypt with a passphrase
+                        </label>
+                        <div class="form-help">Recommended if the backup is stored on a shared or synced drive</div>
+                    </div>
+
+                    <div id="passphraseGroup" style="display: none;">
+                        <div class="form-group">
+                            <label class="form-label">Passphrase</label>
+                            <input type="password" class="form-input" id="backupPassphrase" autocomplete="new-password">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Confirm Passphrase</label>
+                            <input type="password" class="form-input" id="backupPassphraseConfirm" autocomplete="new-password">
+                            <div class="form-help">There is no way to recover a backup if the passphrase is lost</div>
+                        </div>
+                    </div>
+
+                    <div class="action-buttons">
+                        <button type="submit" class="btn btn-primary">Export</button>
+                        <button type="button" class="btn btn-secondary" id="cancelExport">Cancel</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const encryptCheckbox = document.getElementById('encryptBackup');
+        encryptCheckbox.addEventListener('change', () => {
+            document.getElementById('passphraseGroup').style.display = encryptCheckbox.checked ? 'block' : 'none';
+        });
+
+        document.getElementById('exportForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            let passphrase = null;
+            if (encryptCheckbox.checked) {
+                passphrase = document.getElementById('backupPassphrase').value;
+                const confirmation = document.getElementById('backupPassphraseConfirm').value;
+                if (passphrase.length < 8) {
+                    alert('Please use a passphrase of at least 8 characters');
+                    return;
+                }
+                if (passphrase !== confirmation) {
+                    alert('Passphrases do not match');
+                    return;
+                }
+            }
+
+            document.body.removeChild(modal);
+            await this.exportData(passphrase);
+        });
+
+        document.getElementById('cancelExport').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+    }
+
+    /**
+     * Export all data as JSON file
+     * @param {string|null} passphrase - Encrypt the backup with this passphrase when given
+     */
+    async exportData(passphrase = null) {
+        try {
+            let jsonData = await this.db.exportData();
+            if (passphrase) {
+                jsonData = await this.db.encryptBackup(jsonData, passphrase);
+            }
+            const blob = new Blob([jsonData], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `personal-rules-backup-${new Date().toISOString().split('T')[0]}${passphrase ? '.encrypted' : ''}.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            
+            this.showSuccess('Backup exported successfully!');
+        } catch (error) {
+            console.error('Failed to export data:', error);
+            this.showError('Failed to export backup. Please try again.');
+        }
+    }
+
+    /**
+     * Import data from JSON file
+     */
+    async importData() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    const fileText = event.target.result;
+                    if (this.db.isEncryptedBackup(fileText)) {
+                        this.showDecryptDialog(fileText);
+                    } else {
+                        this.showImportModeDialog(fileText);
+                    }
+                };
+                reader.readAsText(file);
+            } catch (error) {
+                console.error('Failed to import data:', error);
+                this.showError('Failed to import backup. Please try again.');
+            }
+        };
+
+        input.click();
+    }
+
+    /**
+     * Show options for the Markdown constitution export
+     */
+    showConstitutionDialog() {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Export Constitution</h3>
+                <div class="form-group">
+                    <div class="form-help" style="margin-bottom: 12px;">Active and passed rules are always included.</div>
+                    <label class="form-radio" style="margin-top: 0;">
+                        <input type="checkbox" id="constitutionProposed">
+                        Include proposed rules
+                    </label>
+                    <label class="form-radio">
+                        <input type="checkbox" id="constitutionArchived">
+                        Include archived rules
+                    </label>
+                </div>
+                <div class="action-buttons">
+                    <button class="btn btn-primary" id="confirmConstitution">Export</button>
+                    <button class="btn btn-secondary" id="cancelConstitution">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
 
-        // Cancel button
-        const cancelEditBtn = document.getElementById('cancelEdit');
-        if (cancelEditBtn) {
-            cancelEditBtn.addEventListener('click', () => {
-                this.showRuleDetail(rule.id);
-            });
-        }
+        document.getElementById('confirmConstitution').addEventListener('click', async () => {
+            const options = {
+                includeProposed: document.getElementById('constitutionProposed').checked,
+                includeArchived: document.getElementById('constitutionArchived').checked
+            };
+            document.body.removeChild(modal);
+            await this.exportConstitution(options);
+        });
 
-        // Form submission — update the existing proposed rule in place
-        form.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            await this.updateProposedRule(rule.id);
+        document.getElementById('cancelConstitution').addEventListener('click', () => {
+            document.body.removeChild(modal);
         });
     }
 
     /**
-     * Update an existing proposed rule in place
+     * Export the rulebook as a Markdown document
      */
-    async updateProposedRule(ruleId) {
+    async exportConstitution(options = {}) {
         try {
-            const rule = this.rules.find(r => r.id === ruleId);
-            if (!rule || rule.status !== 'proposed') {
-                this.showError('Only proposed rules can be edited.');
-                return;
+            const data = JSON.parse(await this.db.exportData());
+            const markdown = this.buildConstitution(data, options);
+
+            const blob = new Blob([markdown], { type: 'text/markdown' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `personal-rules-constitution-${new Date().toISOString().split('T')[0]}.md`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            this.showSuccess('Constitution exported successfully!');
+        } catch (error) {
+            console.error('Failed to export constitution:', error);
+            this.showError('Failed to export constitution. Please try again.');
+        }
+    }
+
+    /**
+     * Render exported data as a Markdown "constitution", grouped by system
+     * @param {Object} data - Parsed output of RulesDatabase.exportData()
+     * @param {Object} options - { includeProposed, includeArchived }
+     * @returns {string} Markdown document
+     */
+    buildConstitution(data, { includeProposed = false, includeArchived = false } = {}) {
+        const sections = [
+            { title: 'In Force', match: r => !r.isArchived && (r.status === 'active' || r.status === 'passed') }
+        ];
+        if (includeProposed) {
+            sections.push({ title: 'Proposed', match: r => !r.isArchived && r.status === 'proposed' });
+        }
+        if (includeArchived) {
+            sections.push({ title: 'Archived', match: r => r.isArchived });
+        }
+
+        const included = data.rules.filter(r => sections.some(section => section.match(r)));
+        const formatDate = (iso) => iso ? this.formatDate(new Date(iso)) : null;
+
+        // Group by system, the same way renderActiveRules does, ordered by systemId
+        const systemNames = [...new Set(included.map(r => r.system))];
+        const systemOrder = (name) => {
+            const system = data.systems.find(s => s.name === name);
+            return system && system.systemId ? system.systemId : Infinity;
+        };
+        systemNames.sort((a, b) => systemOrder(a) - systemOrder(b) || a.localeCompare(b));
+
+        const lines = [
+            '# Personal Rules Constitution',
+            '',
+            `_Generated ${this.formatDate(new Date(data.exportDate))} · ${included.length} ${included.length === 1 ? 'rule' : 'rules'}_`,
+            ''
+        ];
+
+        if (included.length === 0) {
+            lines.push('No rules are currently in force.', '');
+        }
+
+        for (const systemName of systemNames) {
+            const system = data.systems.find(s => s.name === systemName);
+            lines.push(`## System ${system && system.systemId ? system.systemId : '?'}: ${systemName}`, '');
+            if (system && system.successMetrics) {
+                lines.push(`> **System success metrics:** ${system.successMetrics}`, '');
             }
 
-            const title = document.getElementById('title').value.trim();
-            const systemSelect = document.getElementById('systemSelect');
-            const systemInput = document.getElementById('systemInput');
+            for (const section of sections) {
+                const rules = included
+                    .filter(r => r.system === systemName && section.match(r))
+                    .sort((a, b) => a.id.localeCompare(b.id));
+                if (rules.length === 0) continue;
+
+                lines.push(`### ${section.title}`, '');
+
+                for (const rule of rules) {
+                    lines.push(`#### ${rule.id} — ${rule.title}`, '');
+                    lines.push(`- **Status:** ${this.formatStatus(rule.status)}`);
+                    lines.push(`- **Clause type:** ${rule.clauseType === 'purpose' ? 'Purpose' : 'Hypothesis'}`);
+                    if (rule.effectiveDate) {
+                        lines.push(`- **Effective:** ${formatDate(rule.effectiveDate)}`);
+                        lines.push(`- **Expires:** ${formatDate(rule.expirationDate) || 'Indefinite'}`);
+                    }
+                    lines.push('');
 
-            let system;
-            if (systemSelect.value === '__new__') {
-                system = systemInput.value.trim();
-                if (!system) {
-                    this.showError('Please enter a system name.');
-                    return;
+                    lines.push(`**${rule.clauseType === 'purpose' ? 'Purpose' : 'Hypothesis'} clause:** ${rule.clauseText}`, '');
+                    if (rule.successMetrics) {
+                        lines.push(`**Success metrics:** ${rule.successMetrics}`, '');
+                    }
+                    if (rule.body) {
+                        lines.push(rule.body, '');
+                    }
+
+                    const baseRuleId = rule.baseRuleId || rule.id;
+                    const chain = data.rules
+                        .filter(r => r.id === baseRuleId || r.baseRuleId === baseRuleId)
+                        .sort((a, b) => a.amendmentNumber - b.amendmentNumber);
+                    if (chain.length > 1) {
+                        lines.push('**Amendment history:**', '');
+                        for (const version of chain) {
+                            const passed = version.passedDate ? `, passed ${formatDate(version.passedDate)}` : '';
+                            lines.push(`- ${version.id} — ${version.amendmentNumber === 0 ? 'Original rule' : version.title} (${this.formatStatus(version.status)}${passed})`);
+                        }
+                        lines.push('');
+                    }
                 }
-            } else if (systemSelect.value) {
-                system = systemSelect.value;
-            } else {
-                this.showError('Please select or create a system.');
-                return;
             }
+        }
 
-            const clauseType = document.querySelector('input[name="clauseType"]:checked').value;
-            const clauseText = document.getElementById('clauseText').value.trim();
-            const successMetricsType = document.querySelector('input[name="successMetricsType"]:checked').value;
-            const body = document.getElementById('body').value.trim();
-            const sunsetType = document.querySelector('input[name="sunsetType"]:checked').value;
-            const customSunsetDays = sunsetType === 'custom'
-                ? parseInt(document.getElementById('customSunsetDays').value, 10)
-                : null;
+        return lines.join('\n');
+    }
 
-            if (!title || !system || !clauseText) {
-                this.showError('Please fill in all required fields.');
+    /**
+     * Show options for the calendar export
+     */
+    showCalendarExportDialog() {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Export Calendar</h3>
+                <div class="form-group">
+                    <label class="form-label">Remind me before expiry (days)</label>
+                    <input type="number" class="form-input" id="icsReminderDays" min="0" max="30" value="3">
+                    <div class="form-help">Adds an alarm to each expiration event. Use 0 for no reminder.</div>
+                </div>
+                <div class="form-help" style="margin-bottom: 12px;">
+                    Re-importing the file updates existing events instead of duplicating them.
+                </div>
+                <div class="action-buttons">
+                    <button class="btn btn-primary" id="confirmIcsExport">Export</button>
+                    <button class="btn btn-secondary" id="cancelIcsExport">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('confirmIcsExport').addEventListener('click', async () => {
+            const reminderDays = parseInt(document.getElementById('icsReminderDays').value, 10);
+            if (isNaN(reminderDays) || reminderDays < 0) {
+                alert('Please enter a number of days (0 or more)');
                 return;
             }
+            document.body.removeChild(modal);
+            await this.exportCalendar(reminderDays);
+        });
 
-            if (sunsetType === 'custom' && (!customSunsetDays || customSunsetDays < 1)) {
-                this.showError('Please enter a valid number of days (minimum 1).');
-                return;
+        document.getElementById('cancelIcsExport').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+    }
+
+    /**
+     * Export effective and expiration dates of passed/active rules as an iCalendar file
+     */
+    async exportCalendar(reminderDays = 3) {
+        try {
+            const ics = this.buildCalendar(this.rules, reminderDays);
+            const blob = new Blob([ics], { type: 'text/calendar' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'personal-rules.ics';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            this.showSuccess('Calendar exported successfully!');
+        } catch (error) {
+            console.error('Failed to export calendar:', error);
+            this.showError('Failed to export calendar. Please try again.');
+        }
+    }
+
+    /**
+     * Build an iCalendar (RFC 5545) document of rule activations and expirations
+     * Each rule gets an all-day event on its effective date and, unless it is
+     * indefinite, one on its expiration date. UIDs are derived from the rule ID so
+     * re-importing updates events; superseded rules are exported as cancelled.
+     * @param {Array} rules - Rules to export (non-passed/active ones are skipped)
+     * @param {number} reminderDays - Days before expiry for the alarm; 0 for none
+     * @returns {string} The .ics file contents
+     */
+    buildCalendar(rules, reminderDays = 3) {
+        const toIcsDate = (date) => this.toDateKey(date).replace(/-/g, '');
+        const toIcsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const escapeText = (text) => String(text || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+        const now = toIcsTimestamp(new Date());
+
+        const events = [];
+        const addEvent = (rule, kind, date, summary, alarm) => {
+            const day = new Date(date);
+            day.setHours(0, 0, 0, 0);
+            const nextDay = new Date(day);
+            nextDay.setDate(nextDay.getDate() + 1);
+            const updatedAt = new Date(rule.updatedAt || rule.createdAt);
+
+            events.push([
+                'BEGIN:VEVENT',
+                `UID:${rule.id}-${kind}@personal-rules-base`,
+                `DTSTAMP:${now}`,
+                `LAST-MODIFIED:${toIcsTimestamp(updatedAt)}`,
+                // Increases with every edit so calendars accept the update
+                `SEQUENCE:${Math.floor(updatedAt.getTime() / 1000)}`,
+                `DTSTART;VALUE=DATE:${toIcsDate(day)}`,
+                `DTEND;VALUE=DATE:${toIcsDate(nextDay)}`,
+                `SUMMARY:${escapeText(summary)}`,
+                `DESCRIPTION:${escapeText(`${rule.system}\n\n${rule.clauseText}`)}`,
+                `CATEGORIES:${escapeText(rule.system)}`,
+                `STATUS:${rule.status === 'superseded' ? 'CANCELLED' : 'CONFIRMED'}`,
+                'TRANSP:TRANSPARENT',
+                ...(alarm ? [
+                    'BEGIN:VALARM',
+                    'ACTION:DISPLAY',
+                    `DESCRIPTION:${escapeText(`${rule.id} expires in ${reminderDays} ${reminderDays === 1 ? 'day' : 'days'}`)}`,
+                    `TRIGGER:-P${reminderDays}D`,
+                    'END:VALARM'
+                ] : []),
+                'END:VEVENT'
+            ]);
+        };
+
+        const exported = rules.filter(r =>
+            !r.isArchived && r.effectiveDate &&
+            (r.status === 'passed' || r.status === 'active' || r.status === 'superseded')
+        );
+
+        for (const rule of exported) {
+            addEvent(rule, 'effective', rule.effectiveDate, `▶ ${rule.id} takes effect: ${rule.title}`, false);
+            if (rule.sunsetType !== 'indefinite' && rule.expirationDate) {
+                addEvent(rule, 'expires', rule.expirationDate, `⏹ ${rule.id} expires: ${rule.title}`, reminderDays > 0);
+            }
+        }
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Personal Rules Base//Rules Calendar//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'X-WR-CALNAME:Personal Rules',
+            ...events.flat(),
+            'END:VCALENDAR'
+        ];
+
+        return lines.map(line => this.foldIcsLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Fold an iCalendar content line at 75 octets (RFC 5545 §3.1)
+     */
+    foldIcsLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            // Continuation lines start with a space, which counts toward the limit
+            if (octets + size > (parts.length === 0 ? 75 : 74)) {
+                parts.push(current);
+                current = '';
+                octets = 0;
             }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
 
-            // Resolve success metrics
-            let successMetrics = null;
-            let successMetricsSource = 'none';
-            if (successMetricsType === 'custom') {
-                successMetrics = document.getElementById('successMetrics').value.trim();
-                if (!successMetrics) {
-                    this.showError('Please enter custom success metrics or select a different option.');
-                    return;
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Export the rules store as CSV, one row per rule
+     */
+    async exportCsv() {
+        try {
+            const rules = (await this.db.getAllRules()).sort((a, b) => a.id.localeCompare(b.id));
+            const systemIds = new Map(this.systems.map(s => [s.name, s.systemId]));
+            const toDay = (iso) => iso ? this.toDateKey(new Date(iso)) : '';
+
+            const columns = [
+                'id', 'title', 'system', 'systemId', 'status', 'clauseType', 'clauseText',
+                'successMetrics', 'successMetricsSource', 'body', 'markdown', 'sunset',
+                'createdAt', 'passedDate', 'effectiveDate', 'expirationDate',
+                'isArchived', 'baseRuleId', 'amendmentNumber'
+            ];
+            const rows = rules.map(rule => [
+                rule.id,
+                rule.title,
+                rule.system,
+                systemIds.get(rule.system) || '',
+                rule.status,
+                rule.clauseType,
+                rule.clauseText,
+                rule.successMetrics || '',
+                rule.successMetricsSource || 'none',
+                rule.body || '',
+                rule.markdown ? 'yes' : 'no',
+                rule.sunsetType === 'custom' && rule.customSunsetDays ? rule.customSunsetDays : (rule.sunsetType || 'default'),
+                toDay(rule.createdAt),
+                toDay(rule.passedDate),
+                toDay(rule.effectiveDate),
+                toDay(rule.expirationDate),
+                rule.isArchived ? 'yes' : 'no',
+                rule.baseRuleId || '',
+                rule.amendmentNumber || 0
+            ]);
+
+            // Leading BOM so spreadsheet apps detect UTF-8
+            const csv = '\ufeff' + this.toCsv([columns, ...rows]);
+            const blob = new Blob([csv], { type: 'text/csv' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `personal-rules-${new Date().toISOString().split('T')[0]}.csv`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            this.showSuccess(`Exported ${rules.length} rules to CSV.`);
+        } catch (error) {
+            console.error('Failed to export CSV:', error);
+            this.showError('Failed to export CSV. Please try again.');
+        }
+    }
+
+    /**
+     * Pick a CSV file and preview it as new proposed rules
+     */
+    importCsv() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv,text/csv';
+
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                try {
+                    const rows = this.parseCsvRules(event.target.result);
+                    this.showCsvPreviewDialog(rows);
+                } catch (error) {
+                    console.error('Failed to parse CSV:', error);
+                    this.showError(error.message);
                 }
-                successMetricsSource = 'custom';
-            } else if (successMetricsType === 'system') {
-                const systemData = await this.db.getSystem(system);
-                if (systemData && systemData.successMetrics) {
-                    successMetrics = systemData.successMetrics;
+            };
+            reader.readAsText(file);
+        };
+
+        input.click();
+    }
+
+    /**
+     * Map CSV rows to proposed rule drafts and validate each one
+     * Columns are matched by header name (case-insensitive); unknown columns are ignored.
+     * @returns {Array<Object>} { line, draft, isNewSystem, errors } per data row
+     */
+    parseCsvRules(text) {
+        const table = this.parseCsv(text).filter(row => row.some(cell => cell.trim() !== ''));
+        if (table.length < 2) {
+            throw new Error('The CSV file has no data rows.');
+        }
+
+        const header = table[0].map(h => h.trim().toLowerCase());
+        const column = (names) => header.findIndex(h => names.includes(h));
+        const columns = {
+            title: column(['title']),
+            system: column(['system']),
+            clauseType: column(['clausetype', 'clause type', 'type']),
+            clauseText: column(['clausetext', 'clause text', 'clause']),
+            successMetrics: column(['successmetrics', 'success metrics', 'metrics']),
+            successMetricsSource: column(['successmetricssource', 'success metrics source']),
+            body: column(['body']),
+            markdown: column(['markdown']),
+            sunset: column(['sunset', 'sunsettype', 'sunset type'])
+        };
+
+        const missing = ['title', 'system', 'clauseText'].filter(name => columns[name] === -1);
+        if (missing.length > 0) {
+            throw new Error(`The CSV file is missing required column${missing.length === 1 ? '' : 's'}: ${missing.join(', ')}.`);
+        }
+
+        const knownSystems = new Map(this.systems.map(s => [s.name, s]));
+
+        return table.slice(1).map((row, i) => {
+            const cell = (name) => columns[name] === -1 ? '' : (row[columns[name]] || '').trim();
+            const errors = [];
+
+            const title = cell('title');
+            const system = cell('system');
+            const clauseText = cell('clauseText');
+            if (!title) errors.push('Missing title');
+            if (!system) errors.push('Missing system');
+            if (!clauseText) errors.push('Missing clause text');
+
+            const clauseType = (cell('clauseType') || 'purpose').toLowerCase();
+            if (clauseType !== 'purpose' && clauseType !== 'hypothesis') {
+                errors.push(`Unknown clause type "${cell('clauseType')}"`);
+            }
+
+            // Sunset: "default", "indefinite" or a number of days
+            const sunset = (cell('sunset') || 'default').toLowerCase();
+            let sunsetType = 'default';
+            let customSunsetDays = null;
+            if (sunset === 'indefinite') {
+                sunsetType = 'indefinite';
+            } else if (/^\d+$/.test(sunset)) {
+                customSunsetDays = parseInt(sunset, 10);
+                if (customSunsetDays < 1 || customSunsetDays > 365) {
+                    errors.push(`Sunset must be between 1 and 365 days (got ${customSunsetDays})`);
+                }
+                sunsetType = customSunsetDays === 30 ? 'default' : 'custom';
+                if (sunsetType === 'default') customSunsetDays = null;
+            } else if (sunset !== 'default' && sunset !== 'custom') {
+                errors.push(`Unknown sunset "${cell('sunset')}"`);
+            }
+
+            // Success metrics: inherit from the system when asked to, otherwise custom text
+            let successMetrics = cell('successMetrics') || null;
+            let successMetricsSource = successMetrics ? 'custom' : 'none';
+            if (cell('successMetricsSource').toLowerCase() === 'system') {
+                const existing = knownSystems.get(system);
+                if (existing && existing.successMetrics) {
+                    successMetrics = existing.successMetrics;
                     successMetricsSource = 'system';
                 } else {
-                    this.showError(`The system "${system}" has no success metrics defined. Please add metrics to the system or choose custom metrics.`);
-                    return;
+                    errors.push(`System "${system}" has no success metrics to inherit`);
                 }
             }
 
-            // Create system if it doesn't exist
-            const existingSystem = await this.db.getSystem(system);
-            if (!existingSystem) {
-                const nextId = await this.db.getNextSystemId();
-                await this.db.createSystem({
-                    name: system,
-                    systemId: nextId,
-                    successMetrics: null,
-                    createdAt: new Date().toISOString(),
-                    updatedAt: new Date().toISOString()
-                });
-            }
+            return {
+                line: i + 2,
+                isNewSystem: !!system && !knownSystems.has(system),
+                errors,
+                draft: {
+                    title,
+                    system,
+                    clauseType,
+                    clauseText,
+                    successMetrics,
+                    successMetricsSource,
+                    sunsetType,
+                    customSunsetDays,
+                    body: cell('body'),
+                    markdown: ['yes', 'true', '1'].includes(cell('markdown').toLowerCase())
+                }
+            };
+        });
+    }
 
-            // Apply updates to the rule (keep id, status, timestamps intact)
-            rule.title = title;
-            rule.system = system;
-            rule.clauseType = clauseType;
-            rule.clauseText = clauseText;
-            rule.successMetrics = successMetrics;
-            rule.successMetricsSource = successMetricsSource;
-            rule.sunsetType = sunsetType;
-            rule.customSunsetDays = customSunsetDays;
-            rule.body = body;
-            rule.updatedAt = new Date().toISOString();
+    /**
+     * Show a dry run of a CSV import with row-level errors before committing
+     */
+    showCsvPreviewDialog(rows) {
+        const validRows = rows.filter(row => row.errors.length === 0);
+        const newSystems = [...new Set(validRows.filter(row => row.isNewSystem).map(row => row.draft.system))];
 
-            await this.db.updateRule(rule);
-            await this.loadRules();
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>CSV Import Preview</h3>
+
+                <div class="merge-summary">
+                    <div><strong>Rows:</strong> ${validRows.length} ready · ${rows.length - validRows.length} with errors</div>
+                    ${newSystems.length > 0 ? `<div><strong>New systems:</strong> ${this.escapeHtml(newSystems.join(', '))}</div>` : ''}
+                    <div>Rules are created as proposed; rows with errors are skipped.</div>
+                </div>
+
+                ${rows.map(row => `
+                    <div class="merge-conflict">
+                        <div class="rule-meta">Row ${row.line}</div>
+                        <div class="rule-title" style="margin-bottom: 4px;">${this.escapeHtml(row.draft.title || '(untitled)')}</div>
+                        <div class="rule-meta">${this.escapeHtml(row.draft.system || '—')}${row.isNewSystem ? ' (new)' : ''} · ${this.escapeHtml(row.draft.clauseType)}</div>
+                        ${row.errors.length > 0 ? `
+                            <ul class="import-errors" style="margin: 6px 0 0;">
+                                ${row.errors.map(error => `<li>${this.escapeHtml(error)}</li>`).join('')}
+                            </ul>
+                        ` : ''}
+                    </div>
+                `).join('')}
+
+                <div class="action-buttons">
+                    <button class="btn btn-primary" id="confirmCsvImport" ${validRows.length === 0 ? 'disabled' : ''}>Import ${validRows.length} ${validRows.length === 1 ? 'Rule' : 'Rules'}</button>
+                    <button class="btn btn-secondary" id="cancelCsvImport">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('confirmCsvImport').addEventListener('click', async () => {
+            document.body.removeChild(modal);
+            await this.importCsvRules(validRows.map(row => row.draft));
+        });
 
-            this.showSuccess(`Rule "${title}" updated successfully!`);
-            this.showView('proposed');
-        } catch (error) {
-            console.error('Failed to update proposed rule:', error);
-            this.showError('Failed to update rule. Please try again.');
-        }
+        document.getElementById('cancelCsvImport').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
     }
 
     /**
-     * Archive a rule
+     * Create proposed rules from validated CSV drafts
      */
-    async archiveRule(ruleId) {
+    async importCsvRules(drafts) {
+        let created = 0;
         try {
-            const rule = this.rules.find(r => r.id === ruleId);
-            if (!rule) return;
+            for (const draft of drafts) {
+                const { systemId } = await this.ensureSystem(draft.system);
+
+                const rule = {
+                    id: await this.getNextRuleId(),
+                    ...draft,
+                    systemId,
+                    status: 'proposed',
+                    passedDate: null,
+                    effectiveDate: null,
+                    effectiveDateType: null,
+                    expirationDate: null,
+                    isArchived: false,
+                    baseRuleId: null,
+                    amendmentNumber: 0,
+                    createdAt: new Date().toISOString(),
+                    updatedAt: new Date().toISOString()
+                };
 
-            if (rule.status !== 'rejected' && rule.status !== 'expired') {
-                this.showError('Only rejected or expired rules can be archived.');
-                return;
+                await this.db.createRule(rule);
+                await this.logRuleEvent('created', null, rule);
+                created++;
             }
 
-            rule.isArchived = true;
-            rule.updatedAt = new Date().toISOString();
-
-            await this.db.updateRule(rule);
             await this.loadRules();
-            
-            this.showSuccess(`Rule "${rule.title}" has been archived.`);
-            this.renderView(this.currentView);
+            this.showSuccess(`Imported ${created} proposed ${created === 1 ? 'rule' : 'rules'} from CSV.`);
+            this.showView('proposed');
         } catch (error) {
-            console.error('Failed to archive rule:', error);
-            this.showError('Failed to archive rule. Please try again.');
+            console.error('Failed to import CSV rules:', error);
+            await this.loadRules();
+            this.showError(`CSV import stopped after ${created} rules. Please check the file and try again.`);
         }
     }
 
     /**
-     * Render a rule card
+     * Serialize rows of values as RFC 4180 CSV
      */
-    renderRuleCard(rule) {
-        return `
-            <div class="rule-card" data-action="view-detail" data-id="${rule.id}">
-                <div class="rule-header">
-                    <div class="rule-id">${rule.id}</div>
-                    <div class="rule-status status-${rule.status}">${this.formatStatus(rule.status)}</div>
-                </div>
-                <div class="rule-title">${rule.title}</div>
-                <div class="rule-meta"><strong>Expires:</strong> ${rule.expirationDate ? this.formatDate(new Date(rule.expirationDate)) : 'Indefinite'}</div>
-            </div>
-        `;
+    toCsv(rows) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
     }
 
     /**
-     * Attach rule list listeners
+     * Parse RFC 4180 CSV (quoted fields, escaped quotes, embedded newlines)
+     * @returns {Array<Array<string>>} Rows of cells
      */
-    attachRuleListListeners() {
-        document.querySelectorAll('[data-action="view-detail"]').forEach(card => {
-            card.addEventListener('click', (e) => {
-                const ruleId = e.currentTarget.dataset.id;
-                this.showRuleDetail(ruleId);
-            });
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        text = text.replace(/^\ufeff/, '');
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Prompt for the passphrase of an encrypted backup, then continue the import
+     */
+    showDecryptDialog(fileText) {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Encrypted Backup</h3>
+                <form id="decryptForm">
+                    <div class="form-group">
+                        <label class="form-label">Passphrase</label>
+                        <input type="password" class="form-input" id="importPassphrase" autocomplete="current-password" required>
+                        <div class="form-help" id="decryptError" style="color: #fca5a5; display: none;"></div>
+                    </div>
+                    <div class="action-buttons">
+                        <button type="submit" class="btn btn-primary" id="confirmDecrypt">Unlock</button>
+                        <button type="button" class="btn btn-secondary" id="cancelDecrypt">Cancel</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        document.getElementById('importPassphrase').focus();
+
+        document.getElementById('decryptForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const passphrase = document.getElementById('importPassphrase').value;
+            const errorText = document.getElementById('decryptError');
+            const unlockBtn = document.getElementById('confirmDecrypt');
+
+            unlockBtn.disabled = true;
+            unlockBtn.textContent = 'Unlocking...';
+            try {
+                const jsonData = await this.db.decryptBackup(fileText, passphrase);
+                document.body.removeChild(modal);
+                this.showImportModeDialog(jsonData);
+            } catch (error) {
+                console.error('Failed to decrypt backup:', error);
+                errorText.textContent = error.message;
+                errorText.style.display = 'block';
+                unlockBtn.disabled = false;
+                unlockBtn.textContent = 'Unlock';
+            }
+        });
+
+        document.getElementById('cancelDecrypt').addEventListener('click', () => {
+            document.body.removeChild(modal);
         });
     }
 
     /**
-     * Daily status check to activate/expire rules
+     * Ask whether a backup should be merged into or replace the current data
      */
-    async dailyStatusCheck() {
-        try {
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
-            let updated = false;
+    showImportModeDialog(jsonData) {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Import Backup</h3>
+                <div class="form-group">
+                    <div class="form-help" style="margin-bottom: 12px;">
+                        <strong>Merge</strong> combines the backup with your current rules and lets you resolve conflicts.
+                        <strong>Replace</strong> deletes everything here and restores the backup as-is.
+                    </div>
+                </div>
+                <div class="action-buttons">
+                    <button class="btn btn-primary" id="importMerge">Merge</button>
+                    <button class="btn btn-danger" id="importReplace">Replace All</button>
+                    <button class="btn btn-secondary" id="cancelImport">Cancel</button>
+                </div>
+            </div>
+        `;
 
-            // Activate passed rules whose effective date has arrived
-            const passedRules = this.rules.filter(r => r.status === 'passed');
-            for (const rule of passedRules) {
-                const effectiveDate = new Date(rule.effectiveDate);
-                effectiveDate.setHours(0, 0, 0, 0);
-                
-                if (effectiveDate <= today) {
-                    rule.status = 'active';
-                    rule.updatedAt = new Date().toISOString();
-                    await this.db.updateRule(rule);
-                    updated = true;
-                }
+        document.body.appendChild(modal);
+
+        document.getElementById('importMerge').addEventListener('click', async () => {
+            document.body.removeChild(modal);
+            try {
+                const preview = await this.db.previewMerge(jsonData);
+                this.showMergePreviewDialog(preview);
+            } catch (error) {
+                console.error('Failed to parse import file:', error);
+                this.showImportErrors(error);
             }
+        });
 
-            // Expire active rules whose expiration date has passed
-            const activeRules = this.rules.filter(r => r.status === 'active');
-            for (const rule of activeRules) {
-                if (!rule.expirationDate) continue; // indefinite rules never expire
+        document.getElementById('importReplace').addEventListener('click', async () => {
+            document.body.removeChild(modal);
 
-                const expirationDate = new Date(rule.expirationDate);
-                expirationDate.setHours(0, 0, 0, 0);
-                
-                if (expirationDate < today) {
-                    rule.status = 'expired';
-                    rule.updatedAt = new Date().toISOString();
-                    await this.db.updateRule(rule);
-                    updated = true;
-                }
+            // Validate up front so a bad file is reported before anything is confirmed
+            try {
+                this.db.parseBackup(jsonData);
+            } catch (error) {
+                this.showImportErrors(error);
+                return;
             }
 
-            if (updated) {
+            // Confirm before importing
+            if (!confirm('This will replace all current rules with the backup. Are you sure?')) {
+                return;
+            }
+
+            try {
+                const count = await this.db.importData(jsonData);
                 await this.loadRules();
+                
+                this.showSuccess(`Successfully imported ${count} rules!`);
+                this.renderView(this.currentView);
+            } catch (error) {
+                console.error('Failed to parse import file:', error);
+                this.showImportErrors(error);
             }
-        } catch (error) {
-            console.error('Daily status check failed:', error);
-        }
-    }
+        });
 
-    /**
-     * Format status for display
-     */
-    formatStatus(status) {
-        const statusMap = {
-            'proposed': 'Proposed',
-            'passed': 'Passed',
-            'active': 'Active',
-            'expired': 'Expired',
-            'rejected': 'Rejected'
-        };
-        return statusMap[status] || status;
+        document.getElementById('cancelImport').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
     }
 
     /**
-     * Format date for display
+     * Report why a backup could not be imported
+     * Validation failures list every problem record; anything else gets a toast
      */
-    formatDate(date) {
-        return date.toLocaleDateString('en-US', { 
-            month: 'short', 
-            day: 'numeric', 
-            year: 'numeric' 
+    showImportErrors(error) {
+        if (!error.errors) {
+            this.showError('Invalid backup file. Please check the file and try again.');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Backup Not Imported</h3>
+                <div class="form-help" style="margin-bottom: 12px;">
+                    ${error.errors.length} problem${error.errors.length === 1 ? '' : 's'} found. Your current data was not changed.
+                </div>
+                <ul class="import-errors">
+                    ${error.errors.map(message => `<li>${this.escapeHtml(message)}</li>`).join('')}
+                </ul>
+                <div class="action-buttons">
+                    <button class="btn btn-secondary" id="closeImportErrors">Close</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('closeImportErrors').addEventListener('click', () => {
+            document.body.removeChild(modal);
         });
     }
 
     /**
-     * Export all data as JSON file
+     * Show what a merge import would change and let the user resolve each conflict
      */
-    async exportData() {
-        try {
-            const jsonData = await this.db.exportData();
-            const blob = new Blob([jsonData], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `personal-rules-backup-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
-            this.showSuccess('Backup exported successfully!');
-        } catch (error) {
-            console.error('Failed to export data:', error);
-            this.showError('Failed to export backup. Please try again.');
+    showMergePreviewDialog(preview) {
+        const { rules, systems } = preview;
+        const conflicts = [
+            ...systems.conflicts.map(c => ({ ...c, store: 'systems', label: c.key })),
+            ...rules.conflicts.map(c => ({ ...c, store: 'rules', label: `${c.key} — ${c.incoming.title}` }))
+        ];
+
+        const formatUpdated = (record) => record.updatedAt ? this.formatDate(new Date(record.updatedAt)) : 'unknown';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h3>Merge Preview</h3>
+
+                <div class="merge-summary">
+                    <div><strong>Rules:</strong> ${rules.added.length} new · ${rules.identical.length} identical · ${rules.conflicts.length} conflicting</div>
+                    <div><strong>Systems:</strong> ${systems.added.length} new · ${systems.identical.length} identical · ${systems.conflicts.length} conflicting</div>
+                </div>
+
+                ${conflicts.length > 0 ? `
+                    <div class="form-group">
+                        <label class="form-label">Resolve all conflicts</label>
+                        <select class="form-select" id="mergeResolveAll">
+                            <option value="newest" selected>Newest updated</option>
+                            <option value="local">Keep local</option>
+                            <option value="incoming">Take incoming</option>
+                        </select>
+                    </div>
+
+                    ${conflicts.map((conflict, i) => `
+                        <div class="merge-conflict">
+                            <div class="rule-title" style="margin-bottom: 4px;">${this.escapeHtml(conflict.label)}</div>
+                            <div class="rule-meta">Local updated ${formatUpdated(conflict.local)} · Incoming updated ${formatUpdated(conflict.incoming)}</div>
+                            <select class="form-select merge-resolution" data-index="${i}">
+                                <option value="newest" selected>Newest updated</option>
+                                <option value="local">Keep local</option>
+                                <option value="incoming">Take incoming</option>
+                            </select>
+                        </div>
+                    `).join('')}
+                ` : ''}
+
+                <div class="action-buttons">
+                    <button class="btn btn-primary" id="confirmMerge">Apply Merge</button>
+                    <button class="btn btn-secondary" id="cancelMerge">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const resolveAll = document.getElementById('mergeResolveAll');
+        if (resolveAll) {
+            resolveAll.addEventListener('change', (e) => {
+                modal.querySelectorAll('.merge-resolution').forEach(select => {
+                    select.value = e.target.value;
+                });
+            });
         }
-    }
 
-    /**
-     * Import data from JSON file
-     */
-    async importData() {
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = '.json';
-        
-        input.onchange = async (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
+        document.getElementById('confirmMerge').addEventListener('click', async () => {
+            const resolutions = { rules: {}, systems: {} };
+            modal.querySelectorAll('.merge-resolution').forEach(select => {
+                const conflict = conflicts[parseInt(select.dataset.index, 10)];
+                resolutions[conflict.store][conflict.key] = select.value;
+            });
 
             try {
-                const reader = new FileReader();
-                reader.onload = async (event) => {
-                    try {
-                        const jsonData = event.target.result;
-                        
-                        // Confirm before importing
-                        if (!confirm('This will replace all current rules with the backup. Are you sure?')) {
-                            return;
-                        }
+                const written = await this.db.mergeData(preview, resolutions);
+                await this.loadRules();
+                document.body.removeChild(modal);
 
-                        const count = await this.db.importData(jsonData);
-                        await this.loadRules();
-                        
-                        this.showSuccess(`Successfully imported ${count} rules!`);
-                        this.renderView(this.currentView);
-                    } catch (error) {
-                        console.error('Failed to parse import file:', error);
-                        this.showError('Invalid backup file. Please check the file and try again.');
-                    }
-                };
-                reader.readAsText(file);
+                this.showSuccess(`Merged ${written.rules} rules and ${written.systems} systems.`);
+                this.renderView(this.currentView);
             } catch (error) {
-                console.error('Failed to import data:', error);
-                this.showError('Failed to import backup. Please try again.');
+                console.error('Failed to merge backup:', error);
+                this.showError('Merge failed. No changes were made.');
             }
-        };
+        });
 
-        input.click();
+        document.getElementById('cancelMerge').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
     }
 
     /**
      * Show success message
+     * @param {Object} action - Optional { label, onClick } button, e.g. Undo after a delete
      */
-    showSuccess(message) {
-        this.showToast(message, 'success');
+    showSuccess(message, action = null) {
+        this.showToast(message, 'success', action);
     }
 
     /**
@@ -1817,23 +6427,39 @@ class PersonalRulesApp {
 
     /**
      * Show toast notification
+     * Toasts with an action button stay up longer so there's time to use it
+     * @param {Object} action - Optional { label, onClick } button
      */
-    showToast(message, type = 'info') {
+    showToast(message, type = 'info', action = null) {
         const toast = document.createElement('div');
         toast.className = `toast toast-${type}`;
         toast.textContent = message;
         document.body.appendChild(toast);
 
+        const dismiss = () => {
+            toast.classList.remove('show');
+            setTimeout(() => {
+                toast.remove();
+            }, 300);
+        };
+
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', async () => {
+                button.disabled = true;
+                dismiss();
+                await action.onClick();
+            });
+            toast.appendChild(button);
+        }
+
         setTimeout(() => {
             toast.classList.add('show');
         }, 10);
 
-        setTimeout(() => {
-            toast.classList.remove('show');
-            setTimeout(() => {
-                document.body.removeChild(toast);
-            }, 300);
-        }, 3000);
+        setTimeout(dismiss, action ? 6000 : 3000);
     }
 }
 
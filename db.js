@@ -6,7 +6,7 @@
 class RulesDatabase {
     constructor() {
         this.dbName = 'PersonalRulesDB';
-        this.version = 3; // Increment version for systemId addition
+        this.version = 10; // Increment version for the templates store
         this.db = null;
     }
 
@@ -60,6 +60,111 @@ class RulesDatabase {
                     
                     console.log('Systems object store created with indexes');
                 }
+
+                // Create object store for daily adherence check-ins
+                // One record per rule per day, keyed as `${ruleId}:${YYYY-MM-DD}`
+                if (!this.db.objectStoreNames.contains('checkins')) {
+                    const checkinsStore = this.db.createObjectStore('checkins', { keyPath: 'id' });
+
+                    // Create indexes
+                    checkinsStore.createIndex('ruleId', 'ruleId', { unique: false });
+                    checkinsStore.createIndex('date', 'date', { unique: false });
+
+                    console.log('Checkins object store created with indexes');
+                }
+
+                // Create append-only object store for rule lifecycle events (audit trail)
+                if (!this.db.objectStoreNames.contains('events')) {
+                    const eventsStore = this.db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+
+                    // Create indexes
+                    eventsStore.createIndex('ruleId', 'ruleId', { unique: false });
+                    eventsStore.createIndex('type', 'type', { unique: false });
+                    eventsStore.createIndex('timestamp', 'timestamp', { unique: false });
+
+                    console.log('Events object store created with indexes');
+                }
+
+                // Create object store for device settings, one record per setting key
+                // Settings stay on this device and are not part of backups
+                if (!this.db.objectStoreNames.contains('settings')) {
+                    this.db.createObjectStore('settings', { keyPath: 'key' });
+
+                    console.log('Settings object store created');
+                }
+
+                // Create object store for notifications already shown, so each fires once
+                if (!this.db.objectStoreNames.contains('notifications')) {
+                    const notificationsStore = this.db.createObjectStore('notifications', { keyPath: 'id' });
+
+                    // Create indexes
+                    notificationsStore.createIndex('ruleId', 'ruleId', { unique: false });
+
+                    console.log('Notifications object store created with indexes');
+                }
+
+                // Rules reference their system by systemId; the name on the rule is a display copy
+                const upgradeTransaction = event.target.transaction;
+                const rulesStore = upgradeTransaction.objectStore('rules');
+                if (!rulesStore.indexNames.contains('systemId')) {
+                    rulesStore.createIndex('systemId', 'systemId', { unique: false });
+
+                    // Link existing rules to their systems by name
+                    const systemsRequest = upgradeTransaction.objectStore('systems').getAll();
+                    systemsRequest.onsuccess = () => {
+                        const systemIds = new Map(systemsRequest.result.map(s => [s.name, s.systemId]));
+                        rulesStore.openCursor().onsuccess = (e) => {
+                            const cursor = e.target.result;
+                            if (!cursor) return;
+                            const rule = cursor.value;
+                            if (systemIds.has(rule.system) && rule.systemId !== systemIds.get(rule.system)) {
+                                rule.systemId = systemIds.get(rule.system);
+                                cursor.update(rule);
+                            }
+                            cursor.continue();
+                        };
+                    };
+
+                    console.log('Rules linked to systems by systemId');
+                }
+
+                // Create object store for ID sequences, one record per sequence key
+                // Seeded from the rules and the event log so numbers of deleted rules aren't reused
+                if (!this.db.objectStoreNames.contains('counters')) {
+                    const countersStore = this.db.createObjectStore('counters', { keyPath: 'key' });
+
+                    const rulesRequest = upgradeTransaction.objectStore('rules').getAll();
+                    rulesRequest.onsuccess = () => {
+                        const eventsRequest = upgradeTransaction.objectStore('events').getAll();
+                        eventsRequest.onsuccess = () => {
+                            this.deriveCounters(rulesRequest.result, eventsRequest.result)
+                                .forEach(counter => countersStore.put(counter));
+                        };
+                    };
+
+                    console.log('Counters object store created');
+                }
+
+                // Create object store for deleted rules, one entry per delete
+                // An entry holds the rule, its amendments and their check-ins until restored or purged
+                if (!this.db.objectStoreNames.contains('trash')) {
+                    const trashStore = this.db.createObjectStore('trash', { keyPath: 'id' });
+
+                    // Create indexes
+                    trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+
+                    console.log('Trash object store created with indexes');
+                }
+
+                // Create object store for rule templates, keyed by template name
+                if (!this.db.objectStoreNames.contains('templates')) {
+                    const templatesStore = this.db.createObjectStore('templates', { keyPath: 'name' });
+
+                    // Create indexes
+                    templatesStore.createIndex('createdAt', 'createdAt', { unique: false });
+
+                    console.log('Templates object store created with indexes');
+                }
             };
         });
     }
@@ -307,79 +412,82 @@ class RulesDatabase {
 
     /**
      * Export all data as JSON
-     * Includes both rules and systems for a complete backup
+     * Includes rules, systems, check-ins, the event log, ID counters, the trash and templates for a complete backup
      * @returns {Promise<string>} JSON string of all data
      */
     async exportData() {
         const allRules = await this.getAllRules();
         const allSystems = await this.getAllSystems();
+        const allCheckins = await this.getAllCheckins();
+        const allEvents = await this.getAllEvents();
+        const allCounters = await this.getAllCounters();
+        const allTrash = await this.getAllTrash();
+        const allTemplates = await this.getAllTemplates();
         return JSON.stringify({
             version: this.version,
             exportDate: new Date().toISOString(),
             rules: allRules,
-            systems: allSystems
+            systems: allSystems,
+            checkins: allCheckins,
+            events: allEvents,
+            counters: allCounters,
+            trash: allTrash,
+            templates: allTemplates
         }, null, 2);
     }
 
     /**
      * Import data from JSON
-     * Restores both rules and systems
+     * Restores rules, systems, check-ins, the event log, ID counters, the trash and templates
      * WARNING: This will overwrite existing data
+     * The backup is migrated and validated first, then applied in a single
+     * transaction, so a bad file never leaves the database half-imported.
      * @param {string} jsonData - JSON string to import
      * @returns {Promise<number>} Number of rules imported
      */
     async importData(jsonData) {
         try {
-            const data = JSON.parse(jsonData);
-            
-            if (!data.rules || !Array.isArray(data.rules)) {
-                throw new Error('Invalid import data format');
-            }
-
-            // Clear existing data
-            await this.clearAllRules();
-            await this.clearAllSystems();
-
-            // Import rules
-            const rulesTransaction = this.db.transaction(['rules'], 'readwrite');
-            const rulesStore = rulesTransaction.objectStore('rules');
-
-            for (const rule of data.rules) {
-                rulesStore.add(rule);
+            const data = this.parseBackup(jsonData);
+            data.rules = this.linkRulesToSystems(data.rules, data.systems);
+            data.templates = this.linkRulesToSystems(data.templates, data.systems);
+            // Counters never go backwards, whatever the backup says
+            data.counters = this.mergeCounters(
+                data.counters,
+                this.deriveCounters(data.rules, data.events),
+                await this.getAllCounters()
+            );
+            const storeNames = ['rules', 'systems', 'checkins', 'events', 'counters', 'trash', 'templates'];
+
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+            try {
+                for (const storeName of storeNames) {
+                    const store = transaction.objectStore(storeName);
+                    store.clear();
+                    for (const record of data[storeName]) {
+                        store.add(record);
+                    }
+                }
+            } catch (error) {
+                // A record IndexedDB rejects outright must not leave the clears behind
+                transaction.abort();
+                throw error;
             }
 
             await new Promise((resolve, reject) => {
-                rulesTransaction.oncomplete = () => {
-                    console.log(`Imported ${data.rules.length} rules`);
+                transaction.oncomplete = () => {
+                    console.log(`Imported ${data.rules.length} rules, ${data.systems.length} systems, ` +
+                        `${data.checkins.length} check-ins and ${data.events.length} events`);
                     resolve();
                 };
-                rulesTransaction.onerror = () => {
-                    console.error('Rules import failed:', rulesTransaction.error);
-                    reject(rulesTransaction.error);
+                transaction.onerror = () => {
+                    console.error('Import failed, existing data was kept:', transaction.error);
+                    reject(transaction.error);
+                };
+                transaction.onabort = () => {
+                    reject(transaction.error || new Error('Import aborted'));
                 };
             });
 
-            // Import systems (gracefully handle legacy backups that lack the key)
-            if (data.systems && Array.isArray(data.systems)) {
-                const systemsTransaction = this.db.transaction(['systems'], 'readwrite');
-                const systemsStore = systemsTransaction.objectStore('systems');
-
-                for (const system of data.systems) {
-                    systemsStore.add(system);
-                }
-
-                await new Promise((resolve, reject) => {
-                    systemsTransaction.oncomplete = () => {
-                        console.log(`Imported ${data.systems.length} systems`);
-                        resolve();
-                    };
-                    systemsTransaction.onerror = () => {
-                        console.error('Systems import failed:', systemsTransaction.error);
-                        reject(systemsTransaction.error);
-                    };
-                });
-            }
-
             return data.rules.length;
         } catch (error) {
             console.error('Failed to import data:', error);
@@ -387,193 +495,1363 @@ class RulesDatabase {
         }
     }
 
+    // ============================================
+    // BACKUP FORMAT
+    // ============================================
+
     /**
-     * Clear all rules from the database
-     * USE WITH CAUTION
-     * @returns {Promise<boolean>} True if cleared successfully
+     * Parse a backup file, upgrade it to the current format and validate it
+     * @param {string} jsonData - JSON string of a backup
+     * @returns {Object} Backup data in the current shape
+     * @throws {Error} With an `errors` array of per-record messages when invalid
      */
-    async clearAllRules() {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['rules'], 'readwrite');
-            const store = transaction.objectStore('rules');
-            const request = store.clear();
+    parseBackup(jsonData) {
+        let data;
+        try {
+            data = JSON.parse(jsonData);
+        } catch (error) {
+            throw this.backupError(['File is not valid JSON.']);
+        }
 
-            request.onsuccess = () => {
-                console.log('All rules cleared');
-                resolve(true);
-            };
+        if (!data || typeof data !== 'object' || !Array.isArray(data.rules)) {
+            throw this.backupError(['File does not contain a "rules" list.']);
+        }
 
-            request.onerror = () => {
-                console.error('Failed to clear rules:', request.error);
-                reject(request.error);
-            };
-        });
+        const migrated = this.migrateBackup(data);
+        const errors = this.validateBackup(migrated);
+        if (errors.length > 0) {
+            throw this.backupError(errors);
+        }
+
+        return migrated;
     }
 
     /**
-     * Clear all systems from the database
-     * USE WITH CAUTION
-     * @returns {Promise<boolean>} True if cleared successfully
+     * Upgrade a backup from the version it was exported with to the current one
+     * Each step brings the data up to the shape of that database version.
+     * @param {Object} data - Parsed backup
+     * @returns {Object} Backup data at this.version
      */
-    async clearAllSystems() {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['systems'], 'readwrite');
-            const store = transaction.objectStore('systems');
-            const request = store.clear();
+    migrateBackup(data) {
+        // Backups from before versioning are treated as version 1
+        let version = Number.isInteger(data.version) ? data.version : 1;
+        if (version > this.version) {
+            throw this.backupError([`Backup is from a newer version of the app (format ${version}, this app reads up to ${this.version}).`]);
+        }
 
-            request.onsuccess = () => {
-                console.log('All systems cleared');
-                resolve(true);
-            };
+        const migrations = {
+            // v2: systems got their own store; derive them from the rules that name them
+            2: (d) => {
+                if (!Array.isArray(d.systems)) {
+                    const names = [...new Set(d.rules.map(r => r.system).filter(Boolean))];
+                    d.systems = names.map(name => ({
+                        name,
+                        successMetrics: null,
+                        createdAt: d.exportDate || new Date().toISOString(),
+                        updatedAt: d.exportDate || new Date().toISOString()
+                    }));
+                }
+            },
+            // v3: systemId on systems, plus the sunset clause and success metrics source on rules
+            3: (d) => {
+                let nextSystemId = Math.max(0, ...d.systems.map(s => parseInt(s.systemId, 10)).filter(n => !isNaN(n))) + 1;
+                d.systems = d.systems.map(system => system.systemId ? system : { ...system, systemId: nextSystemId++ });
+                d.rules = d.rules.map(rule => ({
+                    ...rule,
+                    sunsetType: rule.sunsetType || 'default',
+                    customSunsetDays: rule.customSunsetDays ?? null,
+                    successMetrics: rule.successMetrics ?? null,
+                    successMetricsSource: rule.successMetricsSource || (rule.successMetrics ? 'custom' : 'none'),
+                    isArchived: rule.isArchived ?? false,
+                    baseRuleId: rule.baseRuleId ?? null,
+                    amendmentNumber: rule.amendmentNumber ?? 0
+                }));
+            },
+            // v4: adherence check-ins
+            4: (d) => {
+                if (!Array.isArray(d.checkins)) d.checkins = [];
+            },
+            // v5: rule event log
+            5: (d) => {
+                if (!Array.isArray(d.events)) d.events = [];
+            },
+            // v7: rules reference their system by systemId
+            7: (d) => {
+                d.rules = this.linkRulesToSystems(d.rules, d.systems);
+            },
+            // v8: persistent rule ID counters
+            8: (d) => {
+                if (!Array.isArray(d.counters)) d.counters = this.deriveCounters(d.rules, d.events);
+            },
+            // v9: trash
+            9: (d) => {
+                if (!Array.isArray(d.trash)) d.trash = [];
+            },
+            // v10: rule templates
+            10: (d) => {
+                if (!Array.isArray(d.templates)) d.templates = [];
+            }
+        };
 
-            request.onerror = () => {
-                console.error('Failed to clear systems:', request.error);
-                reject(request.error);
-            };
-        });
+        const migrated = { ...data };
+        while (version < this.version) {
+            version++;
+            if (migrations[version]) {
+                migrations[version](migrated);
+            }
+        }
+        migrated.version = this.version;
+
+        return migrated;
     }
 
     /**
-     * Get database statistics
-     * @returns {Promise<Object>} Statistics about the database
+     * Validate a backup that is already in the current shape
+     * @param {Object} data - Migrated backup
+     * @returns {Array<string>} One message per problem found; empty when valid
      */
-    async getStats() {
-        const allRules = await this.getAllRules();
-        
-        const stats = {
-            total: allRules.length,
-            byStatus: {},
-            bySystems: {},
-            archived: 0,
-            amendments: 0
-        };
+    validateBackup(data) {
+        const errors = [];
+        const statuses = ['proposed', 'passed', 'active', 'expired', 'rejected', 'superseded'];
+        const clauseTypes = ['purpose', 'hypothesis'];
+        const dateFields = ['createdAt', 'updatedAt', 'passedDate', 'effectiveDate', 'expirationDate', 'supersededDate'];
+        const isValidDate = (value) => typeof value === 'string' && !isNaN(new Date(value).getTime());
+
+        for (const storeName of ['systems', 'checkins', 'events', 'counters', 'trash', 'templates']) {
+            if (!Array.isArray(data[storeName])) {
+                errors.push(`"${storeName}" must be a list.`);
+                data[storeName] = [];
+            }
+        }
 
-        allRules.forEach(rule => {
-            // Count by status
-            stats.byStatus[rule.status] = (stats.byStatus[rule.status] || 0) + 1;
+        // Systems
+        const systemNames = new Set();
+        const systemIds = new Set();
+        data.systems.forEach((system, i) => {
+            const label = `System ${i + 1}${system && system.name ? ` ("${system.name}")` : ''}`;
+            if (!system || typeof system.name !== 'string' || !system.name.trim()) {
+                errors.push(`${label}: missing name.`);
+                return;
+            }
+            if (systemNames.has(system.name)) {
+                errors.push(`${label}: duplicate system name.`);
+            }
+            systemNames.add(system.name);
+            if (system.systemId !== undefined && system.systemId !== null) {
+                if (systemIds.has(system.systemId)) {
+                    errors.push(`${label}: duplicate system ID ${system.systemId}.`);
+                }
+                systemIds.add(system.systemId);
+            }
+        });
 
-            // Count by system
-            stats.bySystems[rule.system] = (stats.bySystems[rule.system] || 0) + 1;
+        // Rules
+        const ruleIds = new Set();
+        data.rules.forEach((rule, i) => {
+            const label = `Rule ${i + 1}${rule && rule.id ? ` (${rule.id})` : ''}`;
+            if (!rule || typeof rule !== 'object') {
+                errors.push(`${label}: not a rule object.`);
+                return;
+            }
+            if (typeof rule.id !== 'string' || !rule.id) {
+                errors.push(`${label}: missing id.`);
+            } else if (ruleIds.has(rule.id)) {
+                errors.push(`${label}: duplicate id.`);
+            } else {
+                ruleIds.add(rule.id);
+            }
+            if (typeof rule.title !== 'string' || !rule.title.trim()) {
+                errors.push(`${label}: missing title.`);
+            }
+            if (!statuses.includes(rule.status)) {
+                errors.push(`${label}: unknown status "${rule.status}".`);
+            }
+            if (rule.clauseType !== undefined && !clauseTypes.includes(rule.clauseType)) {
+                errors.push(`${label}: unknown clause type "${rule.clauseType}".`);
+            }
+            if (typeof rule.system !== 'string' || !rule.system) {
+                errors.push(`${label}: missing system.`);
+            } else if (!systemNames.has(rule.system)) {
+                errors.push(`${label}: unknown system "${rule.system}".`);
+            }
+            for (const field of dateFields) {
+                if (rule[field] !== undefined && rule[field] !== null && !isValidDate(rule[field])) {
+                    errors.push(`${label}: bad date in ${field} ("${rule[field]}").`);
+                }
+            }
+            if (rule.relations !== undefined && (!Array.isArray(rule.relations) || !rule.relations.every(rel =>
+                rel && ['requires', 'conflicts', 'replaces'].includes(rel.type) && typeof rel.ruleId === 'string' && rel.ruleId))) {
+                errors.push(`${label}: bad links.`);
+            }
+            if (rule.schedule !== undefined && rule.schedule !== null && !this.isValidSchedule(rule.schedule)) {
+                errors.push(`${label}: bad schedule.`);
+            }
+        });
 
-            // Count archived
-            if (rule.isArchived) {
-                stats.archived++;
+        // Check-ins
+        const checkinIds = new Set();
+        data.checkins.forEach((checkin, i) => {
+            const label = `Check-in ${i + 1}`;
+            if (!checkin || !ruleIds.has(checkin.ruleId)) {
+                errors.push(`${label}: unknown rule "${checkin && checkin.ruleId}".`);
+                return;
+            }
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(checkin.date || '')) {
+                errors.push(`${label} (${checkin.ruleId}): bad date "${checkin.date}".`);
+            }
+            if (!['kept', 'broken', 'skipped'].includes(checkin.outcome)) {
+                errors.push(`${label} (${checkin.ruleId}): unknown outcome "${checkin.outcome}".`);
+            }
+            // Check-ins are keyed per rule per day; older exports may lack the key
+            const expectedId = `${checkin.ruleId}:${checkin.date}`;
+            if (checkin.id === undefined || checkin.id === null) {
+                checkin.id = expectedId;
+            } else if (checkin.id !== expectedId) {
+                errors.push(`${label} (${checkin.ruleId}): id "${checkin.id}" should be "${expectedId}".`);
             }
+            if (checkinIds.has(checkin.id)) {
+                errors.push(`${label} (${checkin.ruleId}): duplicate check-in for ${checkin.date}.`);
+            }
+            checkinIds.add(checkin.id);
+        });
 
-            // Count amendments
-            if (rule.amendmentNumber > 0) {
-                stats.amendments++;
+        // Events
+        data.events.forEach((event, i) => {
+            if (!event || typeof event.ruleId !== 'string' || !event.type || !isValidDate(event.timestamp)) {
+                errors.push(`Event ${i + 1}: missing rule, type or timestamp.`);
             }
         });
 
-        return stats;
+        // ID counters
+        data.counters.forEach((counter, i) => {
+            if (!counter || typeof counter.key !== 'string' || !Number.isInteger(counter.value) || counter.value < 0) {
+                errors.push(`Counter ${i + 1}: missing key or bad value.`);
+            }
+        });
+
+        // Trash
+        data.trash.forEach((entry, i) => {
+            const label = `Trash entry ${i + 1}${entry && entry.id ? ` (${entry.id})` : ''}`;
+            if (!entry || typeof entry.id !== 'string' || !Array.isArray(entry.rules) || entry.rules.length === 0 ||
+                !Array.isArray(entry.checkins)) {
+                errors.push(`${label}: missing id, rules or check-ins.`);
+                return;
+            }
+            if (entry.rules.some(rule => !rule || typeof rule.id !== 'string' || !rule.id) ||
+                entry.checkins.some(checkin => !checkin || typeof checkin.id !== 'string' || !checkin.id)) {
+                errors.push(`${label}: holds a rule or check-in without an id.`);
+                return;
+            }
+            if (!isValidDate(entry.deletedAt)) {
+                errors.push(`${label}: bad date in deletedAt ("${entry.deletedAt}").`);
+            }
+            if (entry.rules.some(rule => !rule || ruleIds.has(rule.id))) {
+                errors.push(`${label}: holds a rule that is also in the rules list.`);
+            }
+        });
+
+        // Templates
+        const templateNames = new Set();
+        data.templates.forEach((template, i) => {
+            const label = `Template ${i + 1}${template && template.name ? ` ("${template.name}")` : ''}`;
+            if (!template || typeof template.name !== 'string' || !template.name.trim()) {
+                errors.push(`${label}: missing name.`);
+                return;
+            }
+            if (templateNames.has(template.name)) {
+                errors.push(`${label}: duplicate template name.`);
+            }
+            templateNames.add(template.name);
+            if (typeof template.title !== 'string') {
+                errors.push(`${label}: missing title.`);
+            }
+            if (template.clauseType !== undefined && !clauseTypes.includes(template.clauseType)) {
+                errors.push(`${label}: unknown clause type "${template.clauseType}".`);
+            }
+        });
+
+        return errors;
     }
 
     /**
-     * Search rules by text
-     * Searches in title, system, and clause text
-     * @param {string} searchText - Text to search for
-     * @returns {Promise<Array>} Array of matching rules
+     * Check a rule's schedule: daily, weekdays (0 = Sunday), every N days or monthly on a day
      */
-    async searchRules(searchText) {
-        const allRules = await this.getAllRules();
-        const searchLower = searchText.toLowerCase();
+    isValidSchedule(schedule) {
+        if (!schedule || typeof schedule !== 'object') return false;
+        if (schedule.time && !/^\d{2}:\d{2}$/.test(schedule.time)) return false;
+
+        switch (schedule.type) {
+            case 'daily':
+                return true;
+            case 'weekdays':
+                return Array.isArray(schedule.weekdays) && schedule.weekdays.length > 0 &&
+                    schedule.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+            case 'interval':
+                return Number.isInteger(schedule.every) && schedule.every >= 1 &&
+                    (!schedule.startDate || /^\d{4}-\d{2}-\d{2}$/.test(schedule.startDate));
+            case 'monthly':
+                return Number.isInteger(schedule.dayOfMonth) && schedule.dayOfMonth >= 1 && schedule.dayOfMonth <= 31;
+            default:
+                return false;
+        }
+    }
 
-        return allRules.filter(rule => {
-            return rule.title.toLowerCase().includes(searchLower) ||
-                   rule.system.toLowerCase().includes(searchLower) ||
-                   rule.clauseText.toLowerCase().includes(searchLower) ||
-                   (rule.body && rule.body.toLowerCase().includes(searchLower));
-        });
+    /**
+     * Build the error thrown for an invalid backup
+     * @param {Array<string>} errors - Per-record problems
+     * @returns {Error} Error carrying the list in `errors`
+     */
+    backupError(errors) {
+        const error = new Error(`Invalid backup: ${errors.length} problem${errors.length === 1 ? '' : 's'} found`);
+        error.errors = errors;
+        return error;
     }
 
     // ============================================
-    // SYSTEMS MANAGEMENT
+    // ENCRYPTED BACKUPS
     // ============================================
 
     /**
-     * Get the next available system ID number
-     * @returns {Promise<number>} Next system ID number
+     * Encrypt a backup with a passphrase (PBKDF2-SHA-256 → AES-256-GCM)
+     * The result is self-describing: it records the format version, KDF
+     * parameters, salt and IV alongside the ciphertext, so it can be decrypted
+     * without knowing which app version wrote it.
+     * @param {string} jsonData - Plaintext backup from exportData()
+     * @param {string} passphrase - Passphrase chosen by the user
+     * @returns {Promise<string>} JSON string of the encrypted envelope
      */
-    async getNextSystemId() {
-        const allSystems = await this.getAllSystems();
-        if (allSystems.length === 0) return 1;
-        const ids = allSystems
-            .map(s => parseInt(s.systemId, 10))
-            .filter(n => !isNaN(n));
-        return ids.length === 0 ? 1 : Math.max(...ids) + 1;
+    async encryptBackup(jsonData, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const iterations = 600000;
+
+        const key = await this.deriveBackupKey(passphrase, salt, iterations);
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            new TextEncoder().encode(jsonData)
+        );
+
+        return JSON.stringify({
+            format: 'personal-rules-encrypted-backup',
+            formatVersion: 1,
+            exportDate: new Date().toISOString(),
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: this.toBase64(salt) },
+            cipher: { name: 'AES-GCM', keyLength: 256, iv: this.toBase64(iv) },
+            data: this.toBase64(new Uint8Array(ciphertext))
+        }, null, 2);
     }
 
     /**
-     * Create a new system
-     * @param {Object} system - The system object to create
-     * @returns {Promise<Object>} The created system
+     * Decrypt a backup produced by encryptBackup()
+     * @param {string} fileText - Contents of the encrypted backup file
+     * @param {string} passphrase - Passphrase entered by the user
+     * @returns {Promise<string>} The plaintext backup JSON
+     * @throws {Error} When the passphrase is wrong or the file was altered
      */
-    async createSystem(system) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['systems'], 'readwrite');
-            const store = transaction.objectStore('systems');
-            const request = store.add(system);
+    async decryptBackup(fileText, passphrase) {
+        const envelope = JSON.parse(fileText);
+        const { kdf, cipher } = envelope || {};
+        const isSupported = envelope && envelope.formatVersion === 1 &&
+            kdf && kdf.name === 'PBKDF2' && typeof kdf.salt === 'string' && Number.isInteger(kdf.iterations) && kdf.iterations > 0 &&
+            cipher && cipher.name === 'AES-GCM' && typeof cipher.iv === 'string' &&
+            typeof envelope.data === 'string';
+        if (!isSupported) {
+            throw new Error(`Unsupported encrypted backup format (version ${envelope ? envelope.formatVersion : 'unknown'})`);
+        }
 
-            request.onsuccess = () => {
-                console.log('System created:', system.name);
-                resolve(system);
-            };
+        const key = await this.deriveBackupKey(
+            passphrase,
+            this.fromBase64(envelope.kdf.salt),
+            envelope.kdf.iterations,
+            envelope.kdf.hash,
+            envelope.cipher.keyLength
+        );
 
-            request.onerror = () => {
-                console.error('Failed to create system:', request.error);
-                reject(request.error);
-            };
-        });
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64(envelope.cipher.iv) },
+                key,
+                this.fromBase64(envelope.data)
+            );
+            return new TextDecoder().decode(plaintext);
+        } catch (error) {
+            // AES-GCM can't tell a wrong key from a tampered file
+            throw new Error('Wrong passphrase or corrupted backup');
+        }
     }
 
     /**
-     * Get a system by name
-     * @param {string} systemName - The name of the system to retrieve
-     * @returns {Promise<Object|null>} The system object or null if not found
+     * Whether a file's contents are an encrypted backup envelope
+     * @param {string} fileText - Contents of a backup file
+     * @returns {boolean}
      */
-    async getSystem(systemName) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['systems'], 'readonly');
-            const store = transaction.objectStore('systems');
-            const request = store.get(systemName);
+    isEncryptedBackup(fileText) {
+        try {
+            return JSON.parse(fileText).format === 'personal-rules-encrypted-backup';
+        } catch (error) {
+            return false;
+        }
+    }
 
-            request.onsuccess = () => {
-                resolve(request.result || null);
-            };
+    /**
+     * Derive an AES-GCM key from a passphrase with PBKDF2
+     */
+    async deriveBackupKey(passphrase, salt, iterations, hash = 'SHA-256', keyLength = 256) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash },
+            baseKey,
+            { name: 'AES-GCM', length: keyLength },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
 
-            request.onerror = () => {
-                console.error('Failed to get system:', request.error);
-                reject(request.error);
-            };
-        });
+    /**
+     * Encode bytes as base64
+     */
+    toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
     }
 
     /**
-     * Get all systems
-     * @returns {Promise<Array>} Array of all systems
+     * Decode base64 into bytes
      */
-    async getAllSystems() {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['systems'], 'readonly');
-            const store = transaction.objectStore('systems');
-            const request = store.getAll();
+    fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
 
-            request.onsuccess = () => {
-                resolve(request.result || []);
-            };
+    /**
+     * Compare a backup against the current data without changing anything
+     * Rules are matched by id and systems by name
+     * @param {string} jsonData - JSON string to compare
+     * @returns {Promise<Object>} { data, rules, systems } where rules/systems each hold
+     *   added, identical and conflicts ({ key, local, incoming }) arrays
+     */
+    async previewMerge(jsonData) {
+        const data = this.parseBackup(jsonData);
 
-            request.onerror = () => {
-                console.error('Failed to get all systems:', request.error);
-                reject(request.error);
-            };
-        });
+        const localRules = await this.getAllRules();
+        const localSystems = await this.getAllSystems();
+
+        // systemIds differ between devices; compare rules as they'd be linked here
+        data.rules = this.linkRulesToSystems(data.rules, localSystems);
+
+        return {
+            data,
+            rules: this.diffRecords(localRules, data.rules, 'id'),
+            systems: this.diffRecords(localSystems, data.systems, 'name')
+        };
     }
 
     /**
-     * Update an existing system
-     * @param {Object} system - The system object with updated data
-     * @returns {Promise<Object>} The updated system
+     * Split incoming records into added, identical and conflicting ones
+     * @param {Array} localRecords - Records currently in the database
+     * @param {Array} incomingRecords - Records from the backup
+     * @param {string} key - Field used to match records
+     * @returns {Object} { added, identical, conflicts }
+     */
+    diffRecords(localRecords, incomingRecords, key) {
+        const localByKey = new Map(localRecords.map(record => [record[key], record]));
+        const result = { added: [], identical: [], conflicts: [] };
+
+        for (const incoming of incomingRecords) {
+            const local = localByKey.get(incoming[key]);
+            if (!local) {
+                result.added.push(incoming);
+            } else if (this.recordsEqual(local, incoming)) {
+                result.identical.push(incoming);
+            } else {
+                result.conflicts.push({ key: incoming[key], local, incoming });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Deep-compare two records, ignoring key order
+     */
+    recordsEqual(a, b) {
+        const normalize = (value) => {
+            if (Array.isArray(value)) return value.map(normalize);
+            if (value && typeof value === 'object') {
+                return Object.keys(value).sort().reduce((sorted, k) => {
+                    sorted[k] = normalize(value[k]);
+                    return sorted;
+                }, {});
+            }
+            return value;
+        };
+        return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+    }
+
+    /**
+     * Merge a backup into the current data in a single transaction
+     * Nothing is written unless every record applies cleanly.
+     * @param {Object} preview - Result of previewMerge()
+     * @param {Object} resolutions - { rules: { [id]: choice }, systems: { [name]: choice } }
+     *   where choice is 'local', 'incoming' or 'newest' (default 'newest')
+     * @returns {Promise<Object>} Counts of records written per store
+     */
+    async mergeData(preview, resolutions = {}) {
+        const { data } = preview;
+        const written = { rules: 0, systems: 0, checkins: 0, events: 0, counters: 0, trash: 0, templates: 0 };
+
+        const takeIncoming = (conflict, choice = 'newest') => {
+            if (choice === 'local') return false;
+            if (choice === 'incoming') return true;
+            return (conflict.incoming.updatedAt || '') > (conflict.local.updatedAt || '');
+        };
+
+        // systemId is unique, so incoming systems may need a fresh one
+        const localSystems = await this.getAllSystems();
+        const usedSystemIds = new Set(localSystems.map(s => s.systemId).filter(id => id));
+        let nextSystemId = await this.getNextSystemId();
+
+        const localEvents = await this.getAllEvents();
+        const eventKey = (e) => `${e.ruleId}|${e.type}|${e.timestamp}`;
+        const knownEvents = new Set(localEvents.map(eventKey));
+
+        // Counters take the highest value seen on either device
+        const localCounters = await this.getAllCounters();
+        const mergedCounters = this.mergeCounters(
+            localCounters,
+            data.counters,
+            this.deriveCounters(data.rules, data.events)
+        ).filter(counter => !localCounters.some(c => c.key === counter.key && c.value === counter.value));
+
+        // Trashed rules come along unless a rule with the same ID is live on either side
+        const localTrash = await this.getAllTrash();
+        const liveRuleIds = new Set([...(await this.getAllRules()).map(r => r.id), ...data.rules.map(r => r.id)]);
+        const incomingTrash = data.trash.filter(entry =>
+            !localTrash.some(local => local.id === entry.id) &&
+            !entry.rules.some(rule => liveRuleIds.has(rule.id))
+        );
+
+        // Templates are matched by name; a local template of the same name is kept
+        const localTemplateNames = new Set((await this.getAllTemplates()).map(t => t.name));
+        const incomingTemplates = data.templates.filter(template => !localTemplateNames.has(template.name));
+
+        const transaction = this.db.transaction(['rules', 'systems', 'checkins', 'events', 'counters', 'trash', 'templates'], 'readwrite');
+        const rulesStore = transaction.objectStore('rules');
+        const systemsStore = transaction.objectStore('systems');
+        const checkinsStore = transaction.objectStore('checkins');
+        const eventsStore = transaction.objectStore('events');
+        const countersStore = transaction.objectStore('counters');
+        const trashStore = transaction.objectStore('trash');
+        const templatesStore = transaction.objectStore('templates');
+
+        try {
+            const assignedSystemIds = new Map();
+            for (const system of preview.systems.added) {
+                const record = { ...system };
+                if (!record.systemId || usedSystemIds.has(record.systemId)) {
+                    // Skip ids kept by incoming systems added earlier in this loop
+                    while (usedSystemIds.has(nextSystemId)) nextSystemId++;
+                    record.systemId = nextSystemId++;
+                }
+                usedSystemIds.add(record.systemId);
+                assignedSystemIds.set(record.name, record.systemId);
+                systemsStore.add(record);
+                written.systems++;
+            }
+            for (const conflict of preview.systems.conflicts) {
+                if (takeIncoming(conflict, (resolutions.systems || {})[conflict.key])) {
+                    // Keep the local systemId so the unique index stays intact
+                    systemsStore.put({ ...conflict.incoming, systemId: conflict.local.systemId });
+                    written.systems++;
+                }
+            }
+
+            // Incoming systems may have new systemIds, so link rules by name
+            const mergedSystems = [
+                ...localSystems,
+                ...preview.systems.added.map(s => ({ ...s, systemId: assignedSystemIds.get(s.name) }))
+            ];
+            const link = (rule) => this.linkRulesToSystems([rule], mergedSystems)[0];
+
+            for (const rule of preview.rules.added) {
+                rulesStore.add(link(rule));
+                written.rules++;
+            }
+            for (const conflict of preview.rules.conflicts) {
+                if (takeIncoming(conflict, (resolutions.rules || {})[conflict.key])) {
+                    rulesStore.put(link(conflict.incoming));
+                    written.rules++;
+                }
+            }
+
+            // Check-ins are keyed per rule per day; keep whichever was recorded last
+            for (const checkin of data.checkins) {
+                const request = checkinsStore.get(checkin.id);
+                request.onsuccess = () => {
+                    const local = request.result;
+                    if (!local || (checkin.recordedAt || '') > (local.recordedAt || '')) {
+                        checkinsStore.put(checkin);
+                        written.checkins++;
+                    }
+                };
+            }
+
+            // The event log is append-only: add events we haven't seen, under new ids
+            for (const event of data.events) {
+                if (knownEvents.has(eventKey(event))) continue;
+                const { id, ...record } = event;
+                eventsStore.add(record);
+                written.events++;
+            }
+
+            for (const counter of mergedCounters) {
+                countersStore.put(counter);
+                written.counters++;
+            }
+
+            for (const entry of incomingTrash) {
+                trashStore.add(entry);
+                written.trash++;
+            }
+
+            for (const template of incomingTemplates) {
+                // systemIds differ between devices; templates follow their system by name
+                const system = mergedSystems.find(s => s.name === template.system);
+                templatesStore.add({ ...template, systemId: system ? system.systemId : null });
+                written.templates++;
+            }
+        } catch (error) {
+            // A record IndexedDB rejects outright must not leave the earlier writes behind
+            console.error('Merge failed, nothing was imported:', error);
+            transaction.abort();
+            throw error;
+        }
+
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => {
+                console.log('Merged backup:', written);
+                resolve();
+            };
+            transaction.onerror = () => {
+                console.error('Merge failed, nothing was imported:', transaction.error);
+                reject(transaction.error);
+            };
+            transaction.onabort = () => {
+                reject(transaction.error || new Error('Merge aborted'));
+            };
+        });
+
+        return written;
+    }
+
+    /**
+     * Clear all rules from the database
+     * USE WITH CAUTION
+     * @returns {Promise<boolean>} True if cleared successfully
+     */
+    async clearAllRules() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['rules'], 'readwrite');
+            const store = transaction.objectStore('rules');
+            const request = store.clear();
+
+            request.onsuccess = () => {
+                console.log('All rules cleared');
+                resolve(true);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to clear rules:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Clear all systems from the database
+     * USE WITH CAUTION
+     * @returns {Promise<boolean>} True if cleared successfully
+     */
+    async clearAllSystems() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['systems'], 'readwrite');
+            const store = transaction.objectStore('systems');
+            const request = store.clear();
+
+            request.onsuccess = () => {
+                console.log('All systems cleared');
+                resolve(true);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to clear systems:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Clear all check-ins from the database
+     * USE WITH CAUTION
+     * @returns {Promise<boolean>} True if cleared successfully
+     */
+    async clearAllCheckins() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['checkins'], 'readwrite');
+            const store = transaction.objectStore('checkins');
+            const request = store.clear();
+
+            request.onsuccess = () => {
+                console.log('All check-ins cleared');
+                resolve(true);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to clear check-ins:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Clear the event log
+     * USE WITH CAUTION - the log is otherwise append-only
+     * @returns {Promise<boolean>} True if cleared successfully
+     */
+    async clearAllEvents() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['events'], 'readwrite');
+            const store = transaction.objectStore('events');
+            const request = store.clear();
+
+            request.onsuccess = () => {
+                console.log('All events cleared');
+                resolve(true);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to clear events:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Get database statistics
+     * @returns {Promise<Object>} Statistics about the database
+     */
+    async getStats() {
+        const allRules = await this.getAllRules();
+        
+        const stats = {
+            total: allRules.length,
+            byStatus: {},
+            bySystems: {},
+            archived: 0,
+            amendments: 0
+        };
+
+        allRules.forEach(rule => {
+            // Count by status
+            stats.byStatus[rule.status] = (stats.byStatus[rule.status] || 0) + 1;
+
+            // Count by system
+            stats.bySystems[rule.system] = (stats.bySystems[rule.system] || 0) + 1;
+
+            // Count archived
+            if (rule.isArchived) {
+                stats.archived++;
+            }
+
+            // Count amendments
+            if (rule.amendmentNumber > 0) {
+                stats.amendments++;
+            }
+        });
+
+        return stats;
+    }
+
+    /**
+     * Search rules by text, optionally narrowed by filters
+     * Searches in title, system, clause text, body and success metrics
+     * @param {string} searchText - Text to search for (empty matches every rule)
+     * @param {Object} filters - Optional filters; list filters match any of their values
+     *   and are ignored when empty:
+     *   { statuses, systems, clauseTypes, sunsetTypes, archived: 'only'|'exclude',
+     *     dateField, dateFrom: 'YYYY-MM-DD', dateTo: 'YYYY-MM-DD' }
+     * @returns {Promise<Array>} Array of matching rules
+     */
+    async searchRules(searchText, filters = {}) {
+        const allRules = await this.getAllRules();
+        const searchLower = (searchText || '').trim().toLowerCase();
+        const inList = (list, value) => !list || list.length === 0 || list.includes(value);
+
+        const from = filters.dateFrom ? new Date(`${filters.dateFrom}T00:00:00`) : null;
+        const to = filters.dateTo ? new Date(`${filters.dateTo}T23:59:59.999`) : null;
+
+        return allRules.filter(rule => {
+            const matchesText = !searchLower ||
+                [rule.title, rule.system, rule.clauseText, rule.body, rule.successMetrics]
+                    .some(field => field && field.toLowerCase().includes(searchLower));
+            if (!matchesText) return false;
+
+            if (!inList(filters.statuses, rule.status)) return false;
+            if (!inList(filters.systems, rule.system)) return false;
+            if (!inList(filters.clauseTypes, rule.clauseType)) return false;
+            if (!inList(filters.sunsetTypes, rule.sunsetType || 'default')) return false;
+
+            if (filters.archived === 'only' && !rule.isArchived) return false;
+            if (filters.archived === 'exclude' && rule.isArchived) return false;
+
+            if (from || to) {
+                const value = rule[filters.dateField || 'createdAt'];
+                if (!value) return false;
+                const date = new Date(value);
+                if (from && date < from) return false;
+                if (to && date > to) return false;
+            }
+
+            return true;
+        });
+    }
+
+    // ============================================
+    // HISTORY
+    // ============================================
+
+    /**
+     * Put records back to a recorded state in one transaction (undo/redo)
+     * Deletes run before puts so a renamed system can take its old name and systemId back.
+     * @param {Array} writes - { store, key, record } where a null record deletes the key
+     * @param {Array} events - Audit trail events to append
+     * @returns {Promise<number>} Number of records written
+     */
+    async restoreRecords(writes, events = []) {
+        return new Promise((resolve, reject) => {
+            const storeNames = [...new Set([...writes.map(w => w.store), 'events'])];
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+
+            try {
+                writes.filter(w => !w.record).forEach(w => transaction.objectStore(w.store).delete(w.key));
+                writes.filter(w => w.record).forEach(w => transaction.objectStore(w.store).put(w.record));
+                events.forEach(event => transaction.objectStore('events').add(event));
+            } catch (error) {
+                // Undo the writes already issued when IndexedDB rejects one outright
+                console.error('Failed to restore records:', error);
+                transaction.abort();
+                reject(error);
+                return;
+            }
+
+            transaction.oncomplete = () => {
+                console.log(`Records restored: ${writes.length}`);
+                resolve(writes.length);
+            };
+
+            transaction.onerror = () => {
+                console.error('Failed to restore records:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    // ============================================
+    // TRASH
+    // ============================================
+
+    /**
+     * Move deleted rules to the trash in one transaction
+     * Each entry's rules and check-ins leave their stores and are kept in the entry.
+     * @param {Array} entries - { id, rules, checkins, deletedAt } trash entries
+     * @param {Array} events - Audit trail events to append
+     * @returns {Promise<Array>} The entries
+     */
+    async moveToTrash(entries, events = []) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['rules', 'checkins', 'trash', 'events'], 'readwrite');
+            const rulesStore = transaction.objectStore('rules');
+            const checkinsStore = transaction.objectStore('checkins');
+            const trashStore = transaction.objectStore('trash');
+            const eventsStore = transaction.objectStore('events');
+
+            try {
+                for (const entry of entries) {
+                    entry.rules.forEach(rule => rulesStore.delete(rule.id));
+                    entry.checkins.forEach(checkin => checkinsStore.delete(checkin.id));
+                    trashStore.put(entry);
+                }
+                events.forEach(event => eventsStore.add(event));
+            } catch (error) {
+                console.error('Failed to move rules to trash:', error);
+                transaction.abort();
+                reject(error);
+                return;
+            }
+
+            transaction.oncomplete = () => {
+                console.log(`Moved to trash: ${entries.map(e => e.id).join(', ')}`);
+                resolve(entries);
+            };
+
+            transaction.onerror = () => {
+                console.error('Failed to move rules to trash:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Put trashed rules and their check-ins back in one transaction
+     * Fails without changing anything if a rule with the same ID exists again.
+     * @param {Array} entries - Trash entries to restore
+     * @param {Array} events - Audit trail events to append
+     * @returns {Promise<Array>} The entries
+     */
+    async restoreFromTrash(entries, events = []) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['rules', 'checkins', 'trash', 'events'], 'readwrite');
+            const rulesStore = transaction.objectStore('rules');
+            const checkinsStore = transaction.objectStore('checkins');
+            const trashStore = transaction.objectStore('trash');
+            const eventsStore = transaction.objectStore('events');
+
+            try {
+                for (const entry of entries) {
+                    entry.rules.forEach(rule => rulesStore.add(rule));
+                    entry.checkins.forEach(checkin => checkinsStore.put(checkin));
+                    trashStore.delete(entry.id);
+                }
+                events.forEach(event => eventsStore.add(event));
+            } catch (error) {
+                console.error('Failed to restore from trash:', error);
+                transaction.abort();
+                reject(error);
+                return;
+            }
+
+            transaction.oncomplete = () => {
+                console.log(`Restored from trash: ${entries.map(e => e.id).join(', ')}`);
+                resolve(entries);
+            };
+
+            transaction.onerror = () => {
+                console.error('Failed to restore from trash:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Permanently delete trash entries in one transaction
+     * @param {Array<string>} entryIds - Trash entry IDs
+     * @param {Array} events - Audit trail events to append
+     * @returns {Promise<number>} Number of entries deleted
+     */
+    async purgeTrash(entryIds, events = []) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['trash', 'events'], 'readwrite');
+            const trashStore = transaction.objectStore('trash');
+            const eventsStore = transaction.objectStore('events');
+
+            entryIds.forEach(id => trashStore.delete(id));
+            events.forEach(event => eventsStore.add(event));
+
+            transaction.oncomplete = () => {
+                console.log(`Trash purged: ${entryIds.length}`);
+                resolve(entryIds.length);
+            };
+
+            transaction.onerror = () => {
+                console.error('Failed to purge trash:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Get all trash entries, most recently deleted first
+     * @returns {Promise<Array>} Trash entries
+     */
+    async getAllTrash() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['trash'], 'readonly');
+            const store = transaction.objectStore('trash');
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                resolve(request.result.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)));
+            };
+
+            request.onerror = () => {
+                console.error('Failed to get trash:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    // ============================================
+    // TEMPLATES
+    // ============================================
+
+    /**
+     * Save a rule template, replacing any template with the same name
+     * @param {Object} template - Template with name, rule fields and timestamps
+     * @returns {Promise<Object>} The saved template
+     */
+    async saveTemplate(template) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['templates'], 'readwrite');
+            const store = transaction.objectStore('templates');
+            const request = store.put(template);
+
+            request.onsuccess = () => {
+                console.log('Template saved:', template.name);
+                resolve(template);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to save template:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Get all templates, sorted by name
+     * @returns {Promise<Array>} Templates
+     */
+    async getAllTemplates() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['templates'], 'readonly');
+            const store = transaction.objectStore('templates');
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                resolve(request.result.sort((a, b) => a.name.localeCompare(b.name)));
+            };
+
+            request.onerror = () => {
+                console.error('Failed to get templates:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Delete a template
+     * @param {string} name - Template name
+     * @returns {Promise<boolean>} True if deleted
+     */
+    async deleteTemplate(name) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['templates'], 'readwrite');
+            const store = transaction.objectStore('templates');
+            const request = store.delete(name);
+
+            request.onsuccess = () => {
+                console.log('Template deleted:', name);
+                resolve(true);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to delete template:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    // ============================================
+    // RULE ID SEQUENCES
+    // ============================================
+
+    /**
+     * Split a rule ID into its sequence key and number
+     * Base rules count per year ('rule:2026'), amendments per base rule ('amendment:PR2026-01').
+     * @param {string} ruleId - e.g. 'PR2026-04' or 'PR2026-04A2'
+     * @returns {Object|null} { key, number }, or null for IDs outside the scheme
+     */
+    parseRuleId(ruleId) {
+        const base = /^PR(\d{4})-(\d+)$/.exec(ruleId);
+        if (base) return { key: `rule:${base[1]}`, number: parseInt(base[2], 10) };
+
+        const amendment = /^(PR\d{4}-\d+)A(\d+)$/.exec(ruleId);
+        if (amendment) return { key: `amendment:${amendment[1]}`, number: parseInt(amendment[2], 10) };
+
+        return null;
+    }
+
+    /**
+     * Build the rule ID for a number of a sequence (inverse of parseRuleId)
+     */
+    formatRuleId(key, number) {
+        const separator = key.indexOf(':');
+        const kind = key.slice(0, separator);
+        const scope = key.slice(separator + 1);
+        return kind === 'rule'
+            ? `PR${scope}-${String(number).padStart(2, '0')}`
+            : `${scope}A${number}`;
+    }
+
+    /**
+     * Highest number used per sequence by the given rules and event log
+     * Events still name rules that were deleted, so their numbers count too.
+     * @returns {Array<Object>} Counter records { key, value, updatedAt }
+     */
+    deriveCounters(rules = [], events = []) {
+        const highest = new Map();
+        const ruleIds = [...rules.map(r => r && r.id), ...events.map(e => e && e.ruleId)];
+        for (const ruleId of ruleIds) {
+            const parsed = typeof ruleId === 'string' ? this.parseRuleId(ruleId) : null;
+            if (parsed && parsed.number > (highest.get(parsed.key) || 0)) {
+                highest.set(parsed.key, parsed.number);
+            }
+        }
+        return [...highest].map(([key, value]) => ({ key, value, updatedAt: new Date().toISOString() }));
+    }
+
+    /**
+     * Combine counter lists, keeping the highest value per key
+     */
+    mergeCounters(...counterLists) {
+        const merged = new Map();
+        for (const counter of counterLists.flat()) {
+            if (!counter) continue;
+            const existing = merged.get(counter.key);
+            if (!existing || counter.value > existing.value) {
+                merged.set(counter.key, counter);
+            }
+        }
+        return [...merged.values()];
+    }
+
+    /**
+     * Get the next number of a sequence
+     * Numbers are never handed out twice, even after the rule that used one is
+     * deleted, and numbers already taken by a rule (e.g. from an import) or by a
+     * rule in the trash are skipped.
+     * @param {string} key - Sequence key from parseRuleId()
+     * @param {Object} options - { reserve: false } to only look at the next number
+     * @returns {Promise<number>} The next number
+     */
+    async nextSequenceNumber(key, { reserve = true } = {}) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['counters', 'rules', 'trash'], reserve ? 'readwrite' : 'readonly');
+            const countersStore = transaction.objectStore('counters');
+            const rulesStore = transaction.objectStore('rules');
+            const trashStore = transaction.objectStore('trash');
+            let number = null;
+            let trashedIds = new Set();
+
+            const tryNumber = (candidate) => {
+                const id = this.formatRuleId(key, candidate);
+                const request = rulesStore.count(id);
+                request.onsuccess = () => {
+                    if (request.result > 0 || trashedIds.has(id)) {
+                        tryNumber(candidate + 1);
+                        return;
+                    }
+                    number = candidate;
+                    if (reserve) {
+                        countersStore.put({ key, value: number, updatedAt: new Date().toISOString() });
+                    }
+                };
+            };
+
+            const trashRequest = trashStore.getAll();
+            trashRequest.onsuccess = () => {
+                trashedIds = new Set(trashRequest.result.flatMap(entry => entry.rules.map(r => r.id)));
+                const request = countersStore.get(key);
+                request.onsuccess = () => {
+                    tryNumber((request.result ? request.result.value : 0) + 1);
+                };
+            };
+
+            transaction.oncomplete = () => {
+                if (reserve) console.log(`ID reserved: ${this.formatRuleId(key, number)}`);
+                resolve(number);
+            };
+
+            transaction.onerror = () => {
+                console.error('Failed to get next ID:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Reserve the next base rule ID for a year (PR[YEAR]-[NUMBER])
+     * @param {number} year - Year the rule is created in
+     * @returns {Promise<string>} New rule ID
+     */
+    async allocateRuleId(year) {
+        const key = `rule:${year}`;
+        return this.formatRuleId(key, await this.nextSequenceNumber(key));
+    }
+
+    /**
+     * Reserve (or with reserve: false, preview) the next amendment of a base rule
+     * @param {string} baseRuleId - The original rule
+     * @param {Object} options - { reserve }
+     * @returns {Promise<Object>} { id, amendmentNumber }
+     */
+    async allocateAmendmentId(baseRuleId, { reserve = true } = {}) {
+        const key = `amendment:${baseRuleId}`;
+        const amendmentNumber = await this.nextSequenceNumber(key, { reserve });
+        return { id: this.formatRuleId(key, amendmentNumber), amendmentNumber };
+    }
+
+    /**
+     * Get all ID counters
+     * @returns {Promise<Array>} Counter records
+     */
+    async getAllCounters() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['counters'], 'readonly');
+            const store = transaction.objectStore('counters');
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to get counters:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Raise counters to at least the given values in one transaction; never lowers one
+     * @param {Array} counters - { key, value } records
+     * @returns {Promise<number>} Number of counters raised
+     */
+    async raiseCounters(counters) {
+        const current = await this.getAllCounters();
+        const raised = this.mergeCounters(current, counters)
+            .filter(counter => !current.some(c => c.key === counter.key && c.value >= counter.value))
+            .map(counter => ({ ...counter, updatedAt: new Date().toISOString() }));
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['counters'], 'readwrite');
+            const store = transaction.objectStore('counters');
+            raised.forEach(counter => store.put(counter));
+
+            transaction.oncomplete = () => {
+                console.log(`Counters raised: ${raised.length}`);
+                resolve(raised.length);
+            };
+
+            transaction.onerror = () => {
+                console.error('Failed to raise counters:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    // ============================================
+    // SYSTEMS MANAGEMENT
+    // ============================================
+
+    /**
+     * Get the next available system ID number
+     * @returns {Promise<number>} Next system ID number
+     */
+    async getNextSystemId() {
+        const allSystems = await this.getAllSystems();
+        if (allSystems.length === 0) return 1;
+        const ids = allSystems
+            .map(s => parseInt(s.systemId, 10))
+            .filter(n => !isNaN(n));
+        return ids.length === 0 ? 1 : Math.max(...ids) + 1;
+    }
+
+    /**
+     * Create a new system
+     * @param {Object} system - The system object to create
+     * @returns {Promise<Object>} The created system
+     */
+    async createSystem(system) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['systems'], 'readwrite');
+            const store = transaction.objectStore('systems');
+            const request = store.add(system);
+
+            request.onsuccess = () => {
+                console.log('System created:', system.name);
+                resolve(system);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to create system:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Get a system by name
+     * @param {string} systemName - The name of the system to retrieve
+     * @returns {Promise<Object|null>} The system object or null if not found
+     */
+    async getSystem(systemName) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['systems'], 'readonly');
+            const store = transaction.objectStore('systems');
+            const request = store.get(systemName);
+
+            request.onsuccess = () => {
+                resolve(request.result || null);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to get system:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Get all systems
+     * @returns {Promise<Array>} Array of all systems
+     */
+    async getAllSystems() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['systems'], 'readonly');
+            const store = transaction.objectStore('systems');
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                resolve(request.result || []);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to get all systems:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Update an existing system
+     * @param {Object} system - The system object with updated data
+     * @returns {Promise<Object>} The updated system
      */
     async updateSystem(system) {
         return new Promise((resolve, reject) => {
@@ -616,6 +1894,404 @@ class RulesDatabase {
         });
     }
 
+    /**
+     * Rename a system and every rule that belongs to it, in one transaction
+     * The systemId stays the same, so links and routes keep working.
+     * @param {string} oldName - Current system name
+     * @param {Object} system - The system record under its new name
+     * @returns {Promise<Array>} The updated rules
+     */
+    async renameSystem(oldName, system) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['systems', 'rules', 'templates'], 'readwrite');
+            const systemsStore = transaction.objectStore('systems');
+            const rulesStore = transaction.objectStore('rules');
+            const templatesStore = transaction.objectStore('templates');
+            const updatedRules = [];
+
+            const existing = systemsStore.get(system.name);
+            existing.onsuccess = () => {
+                if (existing.result) {
+                    transaction.abort();
+                    reject(new Error(`A system named "${system.name}" already exists.`));
+                    return;
+                }
+
+                systemsStore.delete(oldName);
+                systemsStore.add(system);
+
+                // Rules saved before they carried a systemId are matched by name
+                const byName = rulesStore.index('system').getAll(oldName);
+                const update = (rules) => {
+                    new Map(rules.map(rule => [rule.id, rule])).forEach(rule => {
+                        const updated = { ...rule, system: system.name, systemId: system.systemId, updatedAt: system.updatedAt };
+                        rulesStore.put(updated);
+                        updatedRules.push(updated);
+                    });
+                };
+                byName.onsuccess = () => {
+                    // A null key isn't valid for an index lookup, so ID-less systems match by name only
+                    if (!system.systemId) {
+                        update(byName.result);
+                        return;
+                    }
+                    const byId = rulesStore.index('systemId').getAll(system.systemId);
+                    byId.onsuccess = () => update([...byName.result, ...byId.result]);
+                };
+
+                // Templates name their system too
+                const templates = templatesStore.getAll();
+                templates.onsuccess = () => {
+                    templates.result
+                        .filter(template => template.system === oldName || (system.systemId && template.systemId === system.systemId))
+                        .forEach(template => templatesStore.put({ ...template, system: system.name, systemId: system.systemId }));
+                };
+            };
+
+            transaction.oncomplete = () => {
+                console.log(`System renamed: ${oldName} -> ${system.name} (${updatedRules.length} rules)`);
+                resolve(updatedRules);
+            };
+
+            transaction.onerror = () => {
+                console.error('Failed to rename system:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Apply a batch of rule changes and their audit events in one transaction
+     * Either the whole batch is saved or nothing is.
+     * @param {Object} batch - { put: rules to save, remove: rule ids to delete, events: events to append }
+     * @returns {Promise<Object>} The batch
+     */
+    async applyRuleBatch({ put = [], remove = [], events = [] }) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['rules', 'events'], 'readwrite');
+            const rulesStore = transaction.objectStore('rules');
+            const eventsStore = transaction.objectStore('events');
+
+            try {
+                put.forEach(rule => rulesStore.put(rule));
+                remove.forEach(ruleId => rulesStore.delete(ruleId));
+                events.forEach(event => eventsStore.add(event));
+            } catch (error) {
+                console.error('Failed to apply rule batch:', error);
+                transaction.abort();
+                reject(error);
+                return;
+            }
+
+            transaction.oncomplete = () => {
+                console.log(`Rule batch applied: ${put.length} saved, ${remove.length} deleted`);
+                resolve({ put, remove, events });
+            };
+
+            transaction.onerror = () => {
+                console.error('Failed to apply rule batch:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Merge one system into another in a single transaction: save the target,
+     * save its newly moved rules and templates, delete the source system and log the moves
+     * @param {string} sourceName - System being merged away
+     * @param {Object} target - Target system record, including combined success metrics
+     * @param {Array} rules - Rules of the source system, already moved to the target
+     * @param {Array} events - Audit trail events to append
+     * @returns {Promise<Object>} The target system
+     */
+    async mergeSystems(sourceName, target, rules, events = []) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['systems', 'rules', 'events', 'templates'], 'readwrite');
+            const systemsStore = transaction.objectStore('systems');
+            const rulesStore = transaction.objectStore('rules');
+            const eventsStore = transaction.objectStore('events');
+            const templatesStore = transaction.objectStore('templates');
+
+            try {
+                // Templates of the merged-away system move to the target, read before the source is deleted
+                const source = systemsStore.get(sourceName);
+                source.onsuccess = () => {
+                    const sourceId = source.result ? source.result.systemId : null;
+                    const templates = templatesStore.getAll();
+                    templates.onsuccess = () => {
+                        templates.result
+                            .filter(template => template.system === sourceName || (sourceId && template.systemId === sourceId))
+                            .forEach(template => templatesStore.put({ ...template, system: target.name, systemId: target.systemId }));
+                    };
+                };
+
+                systemsStore.put(target);
+                rules.forEach(rule => rulesStore.put(rule));
+                systemsStore.delete(sourceName);
+                events.forEach(event => eventsStore.add(event));
+            } catch (error) {
+                console.error('Failed to merge systems:', error);
+                transaction.abort();
+                reject(error);
+                return;
+            }
+
+            transaction.oncomplete = () => {
+                console.log(`System merged: ${sourceName} -> ${target.name} (${rules.length} rules)`);
+                resolve(target);
+            };
+
+            transaction.onerror = () => {
+                console.error('Failed to merge systems:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Set each rule's systemId from the system it names
+     * @param {Array} rules - Rules to link
+     * @param {Array} systems - Systems to link them to
+     * @returns {Array} New rule objects; rules naming an unknown system are left as they are
+     */
+    linkRulesToSystems(rules, systems) {
+        const systemIds = new Map(systems.map(s => [s.name, s.systemId]));
+        return rules.map(rule => systemIds.has(rule.system)
+            ? { ...rule, systemId: systemIds.get(rule.system) }
+            : rule);
+    }
+
+    // ============================================
+    // ADHERENCE CHECK-INS
+    // ============================================
+
+    /**
+     * Record a check-in for a rule on a given day
+     * Re-checking the same day overwrites the earlier outcome
+     * @param {Object} checkin - { ruleId, date: 'YYYY-MM-DD', outcome: 'kept'|'broken'|'skipped' }
+     * @returns {Promise<Object>} The saved check-in
+     */
+    async saveCheckin(checkin) {
+        return new Promise((resolve, reject) => {
+            const record = {
+                ...checkin,
+                id: `${checkin.ruleId}:${checkin.date}`,
+                recordedAt: new Date().toISOString()
+            };
+
+            const transaction = this.db.transaction(['checkins'], 'readwrite');
+            const store = transaction.objectStore('checkins');
+            const request = store.put(record);
+
+            request.onsuccess = () => {
+                console.log('Check-in saved:', record.id);
+                resolve(record);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to save check-in:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Get all check-ins for a rule
+     * @param {string} ruleId - The rule ID
+     * @returns {Promise<Array>} Check-ins sorted by date (oldest first)
+     */
+    async getCheckinsForRule(ruleId) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['checkins'], 'readonly');
+            const store = transaction.objectStore('checkins');
+            const index = store.index('ruleId');
+            const request = index.getAll(ruleId);
+
+            request.onsuccess = () => {
+                const checkins = request.result || [];
+                checkins.sort((a, b) => a.date.localeCompare(b.date));
+                resolve(checkins);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to get check-ins:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Get all check-ins
+     * @returns {Promise<Array>} Array of all check-ins
+     */
+    async getAllCheckins() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['checkins'], 'readonly');
+            const store = transaction.objectStore('checkins');
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                resolve(request.result || []);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to get all check-ins:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    // ============================================
+    // EVENT LOG (AUDIT TRAIL)
+    // ============================================
+
+    /**
+     * Append an event to the log
+     * Events are never updated or deleted individually
+     * @param {Object} event - { ruleId, type, actor, timestamp, before, after }
+     * @returns {Promise<Object>} The stored event, including its generated id
+     */
+    async addEvent(event) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['events'], 'readwrite');
+            const store = transaction.objectStore('events');
+            const request = store.add(event);
+
+            request.onsuccess = () => {
+                resolve({ ...event, id: request.result });
+            };
+
+            request.onerror = () => {
+                console.error('Failed to add event:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Get the full event log
+     * @returns {Promise<Array>} Array of all events
+     */
+    async getAllEvents() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['events'], 'readonly');
+            const store = transaction.objectStore('events');
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                resolve(request.result || []);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to get all events:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    // ============================================
+    // SETTINGS
+    // ============================================
+
+    /**
+     * Get a setting value
+     * @param {string} key - Setting key
+     * @param {*} defaultValue - Returned when the setting was never saved
+     * @returns {Promise<*>} The stored value or the default
+     */
+    async getSetting(key, defaultValue = null) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readonly');
+            const store = transaction.objectStore('settings');
+            const request = store.get(key);
+
+            request.onsuccess = () => {
+                resolve(request.result ? request.result.value : defaultValue);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to get setting:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Save a setting value
+     * @param {string} key - Setting key
+     * @param {*} value - Any structured-cloneable value
+     * @returns {Promise<*>} The saved value
+     */
+    async saveSetting(key, value) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['settings'], 'readwrite');
+            const store = transaction.objectStore('settings');
+            const request = store.put({ key, value, updatedAt: new Date().toISOString() });
+
+            request.onsuccess = () => {
+                console.log('Setting saved:', key);
+                resolve(value);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to save setting:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    // ============================================
+    // SENT NOTIFICATIONS
+    // ============================================
+
+    /**
+     * Record that a notification was shown
+     * @param {Object} notification - { id, ruleId, kind }; id identifies the event it announced
+     * @returns {Promise<Object>} The stored record
+     */
+    async saveSentNotification(notification) {
+        const record = {
+            ...notification,
+            sentAt: new Date().toISOString()
+        };
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['notifications'], 'readwrite');
+            const store = transaction.objectStore('notifications');
+            const request = store.put(record);
+
+            request.onsuccess = () => {
+                resolve(record);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to save sent notification:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Get every notification shown so far
+     * @returns {Promise<Array>} Array of sent notification records
+     */
+    async getSentNotifications() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['notifications'], 'readonly');
+            const store = transaction.objectStore('notifications');
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                resolve(request.result || []);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to get sent notifications:', request.error);
+                reject(request.error);
+            };
+        });
+    }
+
     /**
      * Close the database connection
      */
@@ -3,7 +3,7 @@
  * Handles caching and offline functionality
  */
 
-const CACHE_NAME = 'personal-rules-base-alpha-v3.2';
+const CACHE_NAME = 'personal-rules-base-alpha-v3.3';
 const urlsToCache = [
   '/personal-rules-base/',
   '/personal-rules-base/index.html',
@@ -82,3 +82,23 @@ self.addEventListener('fetch', (event) => {
       })
   );
 });
+
+// Notification click - open the rule it announced
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const route = (event.notification.data && event.notification.data.route) || '';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then((clientList) => {
+        // Reuse an open window of the app if there is one
+        const client = clientList.find((c) => c.url.startsWith(self.registration.scope));
+        if (client) {
+          client.postMessage({ type: 'navigate', route });
+          return client.focus();
+        }
+
+        return self.clients.openWindow(self.registration.scope + route);
+      })
+  );
+});